@@ -9,7 +9,10 @@
  * 
  * 초기화 순서:
  * 1. 코어 시스템 (EventBus, StateManager) 확인
- * 2. 매니저들 순차 초기화 (I18n → Theme → Nav → Typing)
+ * 2. 매니저 의존성 그래프에 따라 초기화 (각 매니저의 async init()을 대기)
+ *    - 매니저는 static dependencies로 의존 매니저를 선언 (예: Typing/Blog → I18n)
+ *    - 의존성이 없는 매니저끼리는 병렬로 초기화, 매니저별 타임아웃 적용
+ *    - 매니저마다 준비 완료 시 manager:ready 이벤트 발생
  * 3. 매니저 간 통신 설정
  * 4. 글로벌 이벤트 리스너 등록
  * 5. 애플리케이션 준비 완료 이벤트 발생
@@ -19,6 +22,7 @@ class App {
   constructor() {
     // 매니저 인스턴스들을 저장하는 객체
     this.managers = {};
+    this.lifecycles = {};            // 매니저별 Lifecycle (destroy 시 남은 리스너까지 해제)
     
     // 애플리케이션 상태
     this.isInitialized = false;      // 초기화 완료 여부
@@ -26,10 +30,54 @@ class App {
     // 코어 시스템 참조 (HTML에서 먼저 로드됨)
     this.eventBus = null;            // 이벤트 버스 인스턴스
     this.stateManager = null;        // 상태 관리자 인스턴스
+    this.shortcutRegistry = null;    // 키보드 단축키 레지스트리
+    this.themeRegistry = null;       // 이름 있는 테마(토큰) 레지스트리
+    this.config = null;              // 사이트 설정 (config.json)
+    this.errorReporter = null;       // 에러 수집기 (config.json의 errorReporting으로 재설정)
+    this.lifecycle = null;           // App 자체의 리스너 추적 (start()마다 새로 생성)
+    
+    // 매니저 레지스트리 (name -> 정의, 초기화 순서는 각 클래스의 static dependencies로 결정)
+    this.managerDefinitions = new Map();
+    this.managerTimeout = 5000;      // 매니저별 init() 타임아웃 (ms)
+    
+    // 플러그인 설정 (예: window.PORTFOLIO_CONFIG = { plugins: { guestbook: false } })
+    this.pluginConfig = window.PORTFOLIO_CONFIG?.plugins || {};
+    
+    // 내장 매니저도 플러그인과 같은 API로 등록
+    this.registerBuiltInManagers();
     
     this.init();
   }
 
+  /**
+   * Register the managers shipped with the portfolio
+   * A missing class (script not loaded) is kept as a definition so that
+   * startup reports it, failing the app only for required managers.
+   */
+  registerBuiltInManagers() {
+    const builtIns = [
+      // Registered first so that other managers' init failures can be shown
+      ['notifications', window.NotificationManager],
+      ['i18n', window.I18nManager, { required: true }],
+      ['theme', window.ThemeManager, { required: true }],
+      ['nav', window.NavManager, { required: true }],
+      ['typing', window.TypingManager],
+      ['blog', window.BlogManager],
+      ['shortcuts', window.ShortcutHelpManager],
+      ['search', window.SearchManager],
+      ['router', window.RouterManager],
+      ['projectDetail', window.ProjectDetailManager]
+    ];
+
+    builtIns.forEach(([name, ManagerClass, options = {}]) => {
+      if (ManagerClass) {
+        this.register(name, ManagerClass, options);
+      } else {
+        this.managerDefinitions.set(name, this.createManagerDefinition(name, undefined, options));
+      }
+    });
+  }
+
   /**
    * Initialize the application
    */
@@ -43,7 +91,6 @@ class App {
       }
       
     } catch (error) {
-      console.error('Failed to initialize app:', error);
       this.handleInitError(error);
     }
   }
@@ -56,6 +103,9 @@ class App {
       // Initialize core systems
       await this.initCore();
       
+      // Load site settings before managers read them
+      await this.initConfig();
+      
       // Initialize managers
       await this.initManagers();
       
@@ -68,11 +118,18 @@ class App {
       // Set app ready state for other managers
       this.stateManager.setState('appReady', true);
       
-      // Emit ready event
-      this.eventBus.emit('app:ready');
+      // Emit ready event and wait until every handler settles
+      const { errors } = await this.eventBus.emitAsync('app:ready');
+      if (errors.length > 0) {
+        console.warn(`⚠️ ${errors.length} app:ready handler(s) failed`);
+      }
+      
+      // Start typing animation (translations are loaded by I18nManager.init())
+      if (this.managers.typing) {
+        this.managers.typing.startAnimation();
+      }
       
     } catch (error) {
-      console.error('Failed to start app:', error);
       this.handleInitError(error);
     }
   }
@@ -84,83 +141,345 @@ class App {
     // Core systems should already be loaded from HTML
     this.eventBus = window.eventBus;
     this.stateManager = window.stateManager;
+    this.shortcutRegistry = window.shortcutRegistry || null;
+    this.themeRegistry = window.themeRegistry || null;
+    this.config = window.appConfig || null;
+    this.errorReporter = window.errorReporter || null;
     
     if (!this.eventBus || !this.stateManager) {
       throw new Error('Core systems not available. Make sure EventBus and StateManager are loaded.');
     }
     
+    // Everything the app registers from here on is released by destroy()
+    this.lifecycle = new Lifecycle('app', { eventBus: this.eventBus, stateManager: this.stateManager });
+    
+    // Late subscribers (e.g. managers created after app:ready) receive these on subscribe
+    this.eventBus.sticky('app:ready', 'i18n:pageRendered');
+    
     // Set up core event listeners
-    this.eventBus.on('app:restart', () => this.restart());
-    this.eventBus.on('app:destroy', () => this.destroy());
+    this.lifecycle.on('app:restart', () => this.restart());
+    this.lifecycle.on('app:destroy', () => this.destroy());
     
   }
 
   /**
-   * Initialize all managers in proper order
+   * Load config.json and apply the settings owned by the core
+   * (default language, plugin toggles, error reporting); managers read their own sections.
    */
-  async initManagers() {
-    // Phase 1: Core managers (essential for basic functionality)
-    const coreManagers = [
-      { name: 'i18n', class: window.I18nManager, required: true },
-      { name: 'theme', class: window.ThemeManager, required: true },
-      { name: 'nav', class: window.NavManager, required: true }
-    ];
+  async initConfig() {
+    if (!this.config) return;
+    
+    await this.config.load();
+    
+    // Sinks from config.json (window.PORTFOLIO_CONFIG overrides are merged in)
+    this.errorReporter?.configure(this.config.get('errorReporting') || {});
+    
+    // First-time visitors get the configured language; a stored choice wins
+    const { default: defaultLanguage, supported } = this.config.get('language');
+    this.stateManager.defineSchema('language', { ...this.stateManager.schemas.get('language'), enum: supported });
+    this.stateManager.setDefault('language', defaultLanguage);
+
+    // The stored language was restored before `supported` was known
+    if (!supported.includes(this.stateManager.getState('language'))) {
+      this.stateManager.setState('language', defaultLanguage, { source: 'default', record: false });
+    }
 
-    console.log('🚀 Initializing core managers...');
-    for (const config of coreManagers) {
-      try {
-        if (!config.class) {
-          throw new Error(`Required manager class not found: ${config.name}`);
-        }
+    // Plugins can also be toggled from config.json
+    this.applyPluginConfig(this.config.get('plugins', {}));
+  }
+
+  /**
+   * Re-apply plugin config to every registered manager definition
+   * @param {Object} pluginConfig - Plugin config (see createManagerDefinition)
+   */
+  applyPluginConfig(pluginConfig) {
+    this.pluginConfig = pluginConfig;
+    this.managerDefinitions.forEach((definition, name) => {
+      this.managerDefinitions.set(name, this.createManagerDefinition(name, definition.class, definition.registration));
+    });
+  }
+
+  /**
+   * Register a manager (built-in or third-party plugin)
+   * Managers are constructed with { eventBus, stateManager, shortcuts, themes, config, app, options, lifecycle }
+   * and may declare `static get dependencies()` and an async `init()` / `destroy()`.
+   * Whatever a manager registers through its `lifecycle` is released on destroy,
+   * even if its own destroy() forgets to.
+   * Registering after startup initializes the manager immediately.
+   *
+   * Usage:
+   *   portfolioApp.register('guestbook', GuestbookManager, { dependencies: ['i18n'] });
+   *
+   * @param {string} name - Unique manager name (used by getManager and dependencies)
+   * @param {Function} ManagerClass - Manager class
+   * @param {Object} [options] - Registration options
+   * @param {boolean} [options.required=false] - Abort startup if this manager fails
+   * @param {Array<string>} [options.dependencies] - Overrides ManagerClass.dependencies
+   * @param {number} [options.timeout] - init() timeout in milliseconds
+   * @param {boolean} [options.enabled=true] - Default when the plugin config does not decide
+   * @param {Object} [options.options] - Manager-specific options (merged with the plugin config)
+   * @returns {App} This app (chainable)
+   */
+  register(name, ManagerClass, options = {}) {
+    if (typeof name !== 'string' || !name) {
+      throw new TypeError('Manager name must be a non-empty string');
+    }
+    if (typeof ManagerClass !== 'function') {
+      throw new TypeError(`Manager class for '${name}' must be a constructor`);
+    }
+    if (this.managerDefinitions.has(name)) {
+      throw new Error(`Manager '${name}' is already registered`);
+    }
+
+    const config = this.createManagerDefinition(name, ManagerClass, options);
+    this.managerDefinitions.set(name, config);
+
+    // Late registration: initialize right away when the app is already running
+    if (this.isInitialized && config.enabled) {
+      this.initLateManager(config);
+    }
+
+    return this;
+  }
+
+  /**
+   * Remove a registered manager, destroying its instance if it is running
+   * @param {string} name - Manager name
+   * @returns {boolean} True if the manager was registered
+   */
+  unregister(name) {
+    this.destroyManager(name);
+    return this.managerDefinitions.delete(name);
+  }
 
-        console.log(`📝 Initializing ${config.name} manager...`);
-        this.managers[config.name] = new config.class();
-        
-        // Wait for core manager initialization
-        await this.delay(100);
-        console.log(`✅ ${config.name} manager initialized`);
-        
-      } catch (error) {
-        console.error(`❌ Failed to initialize ${config.name} manager:`, error);
-        throw error; // Core managers are required
+  /**
+   * Destroy a running manager and release everything tracked by its lifecycle
+   * @param {string} name - Manager name
+   */
+  destroyManager(name) {
+    const manager = this.managers[name];
+    const lifecycle = this.lifecycles[name];
+    delete this.managers[name];
+    delete this.lifecycles[name];
+
+    try {
+      if (manager && typeof manager.destroy === 'function') {
+        manager.destroy();
       }
+    } finally {
+      lifecycle?.dispose();
     }
+  }
 
-    // Set up inter-manager communication first
-    this.setupManagerCommunication();
+  /**
+   * Build a manager definition, applying the plugin config for its name
+   * Plugin config values: `false` disables, `true` enables, an object is merged
+   * into the manager options (its `enabled` field enables/disables).
+   * @param {string} name - Manager name
+   * @param {Function} ManagerClass - Manager class
+   * @param {Object} options - Registration options
+   * @returns {Object} Manager definition
+   */
+  createManagerDefinition(name, ManagerClass, options) {
+    const pluginConfig = this.pluginConfig[name];
+    const { enabled: configEnabled, ...configOptions } =
+      pluginConfig && typeof pluginConfig === 'object' ? pluginConfig : {};
 
-    // Phase 2: Enhanced managers (can be initialized asynchronously)
-    const enhancedManagers = [
-      { name: 'typing', class: window.TypingManager, required: false },
-      { name: 'blog', class: window.BlogManager, required: false }
-    ];
+    let enabled = options.enabled !== false;
+    if (typeof pluginConfig === 'boolean') enabled = pluginConfig;
+    if (typeof configEnabled === 'boolean') enabled = configEnabled;
 
-    console.log('🎨 Initializing enhanced managers...');
-    // Initialize enhanced managers without blocking
-    this.initEnhancedManagers(enhancedManagers);
+    return {
+      name,
+      class: ManagerClass,
+      required: options.required === true,
+      dependencies: options.dependencies,
+      timeout: options.timeout,
+      enabled,
+      options: { ...options.options, ...configOptions },
+      registration: options
+    };
   }
 
   /**
-   * Initialize enhanced managers asynchronously
-   * @param {Array} managers - Array of manager configurations
+   * Initialize a manager registered after startup
+   * @param {Object} config - Manager definition
    */
-  async initEnhancedManagers(managers) {
-    for (const config of managers) {
-      try {
-        if (!config.class) {
-          console.warn(`Optional manager not available: ${config.name}`);
-          continue;
+  async initLateManager(config) {
+    try {
+      const missing = this.getManagerDependencies(config).filter(name => !this.managers[name]);
+      if (missing.length > 0) {
+        throw new Error(`Dependencies of ${config.name} manager are not available: ${missing.join(', ')}`);
+      }
+      await this.initManager(config);
+    } catch (error) {
+      this.reportManagerFailure(config, error);
+    }
+  }
+
+  /**
+   * Report a manager that failed to initialize (manager:failed + app:error)
+   * @param {Object} config - Manager definition
+   * @param {Error} error - Initialization error
+   */
+  reportManagerFailure(config, error) {
+    this.eventBus.emit('manager:failed', { name: config.name, error });
+    this.eventBus.emit('app:error', {
+      error,
+      manager: config.name,
+      context: 'init',
+      // Optional managers may fail without stopping the app
+      level: config.required ? 'error' : 'warning'
+    });
+  }
+
+  /**
+   * Initialize all managers in dependency order
+   * Managers without a dependency between them are initialized in parallel.
+   * A failing required manager aborts startup; failing optional managers
+   * (and the managers depending on them) are skipped.
+   */
+  async initManagers() {
+    const enabled = [...this.managerDefinitions.values()].filter(config => config.enabled);
+    const order = this.resolveManagerOrder(enabled);
+    const pending = new Map();   // name -> Promise resolving to true if ready
+    const errors = [];
+
+    console.log('🚀 Initializing managers:', order.map(config => config.name).join(' → '));
+
+    for (const config of order) {
+      // Unregistered or disabled dependencies count as unavailable
+      const dependencies = this.getManagerDependencies(config).map(name => pending.get(name) || false);
+
+      pending.set(config.name, Promise.all(dependencies).then(async (ready) => {
+        if (ready.includes(false)) {
+          throw new Error(`Dependencies of ${config.name} manager are not available`);
         }
+        await this.initManager(config);
+        return true;
+      }).catch(error => {
+        if (config.required) {
+          errors.push(error);
+        }
+        this.reportManagerFailure(config, error);
+        return false;
+      }));
+    }
 
-        console.log(`🎨 Initializing ${config.name} manager...`);
-        this.managers[config.name] = new config.class();
-        console.log(`✅ ${config.name} manager initialized`);
-        
-      } catch (error) {
-        console.error(`⚠️ Failed to initialize ${config.name} manager:`, error);
-        // Enhanced managers are optional, so continue
+    await Promise.all(pending.values());
+
+    if (errors.length > 0) {
+      throw errors[0]; // Required managers are essential for basic functionality
+    }
+
+    // Set up inter-manager communication
+    this.setupManagerCommunication();
+  }
+
+  /**
+   * Create a manager and wait for its init() (bounded by a timeout)
+   * @param {Object} config - Manager definition
+   */
+  async initManager(config) {
+    if (!config.class) {
+      throw new Error(`Manager class not found: ${config.name}`);
+    }
+
+    console.log(`📝 Initializing ${config.name} manager...`);
+    const lifecycle = new Lifecycle(config.name, {
+      eventBus: this.eventBus,
+      stateManager: this.stateManager
+    });
+    let manager;
+
+    try {
+      manager = new config.class({
+        eventBus: this.eventBus,
+        stateManager: this.stateManager,
+        shortcuts: this.shortcutRegistry,
+        themes: this.themeRegistry,
+        config: this.config,
+        app: this,
+        options: config.options,
+        lifecycle
+      });
+      this.managers[config.name] = manager;
+      this.lifecycles[config.name] = lifecycle;
+
+      await this.withTimeout(
+        Promise.resolve(typeof manager.init === 'function' ? manager.init() : undefined),
+        config.timeout || this.managerTimeout,
+        `${config.name} manager init timed out`
+      );
+    } catch (error) {
+      if (this.managers[config.name]) {
+        this.destroyManager(config.name);
+      } else {
+        // The constructor threw: nothing reaches this lifecycle but us
+        lifecycle.dispose();
       }
+      throw error;
     }
+
+    console.log(`✅ ${config.name} manager initialized`);
+    this.eventBus.emit('manager:ready', { name: config.name, manager });
+  }
+
+  /**
+   * Get the manager names a definition depends on
+   * @param {Object} config - Manager definition
+   * @returns {Array<string>} Dependency names
+   */
+  getManagerDependencies(config) {
+    return config.dependencies || config.class?.dependencies || [];
+  }
+
+  /**
+   * Sort manager definitions so that dependencies come first (topological order)
+   * Dependencies missing from the list are skipped here and fail that manager at init.
+   * @param {Array<Object>} definitions - Manager definitions
+   * @returns {Array<Object>} Sorted definitions
+   * @throws {Error} On circular dependencies
+   */
+  resolveManagerOrder(definitions) {
+    const byName = new Map(definitions.map(config => [config.name, config]));
+    const sorted = [];
+    const state = new Map();     // name -> 'visiting' | 'done'
+
+    const visit = (config, path) => {
+      if (state.get(config.name) === 'done') return;
+      if (state.get(config.name) === 'visiting') {
+        throw new Error(`Circular manager dependency: ${[...path, config.name].join(' → ')}`);
+      }
+
+      state.set(config.name, 'visiting');
+      this.getManagerDependencies(config).forEach(name => {
+        if (byName.has(name)) {
+          visit(byName.get(name), [...path, config.name]);
+        }
+      });
+      state.set(config.name, 'done');
+      sorted.push(config);
+    };
+
+    definitions.forEach(config => visit(config, []));
+    return sorted;
+  }
+
+  /**
+   * Reject if a promise does not settle in time
+   * @param {Promise} promise - Promise to wait for
+   * @param {number} ms - Timeout in milliseconds
+   * @param {string} message - Error message on timeout
+   * @returns {Promise} Promise settling like the original or rejecting on timeout
+   */
+  withTimeout(promise, ms, message) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error(message)), ms);
+    });
+
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
   }
 
   /**
@@ -170,7 +489,7 @@ class App {
     // Language changes are handled directly in TypingManager
 
     // Navigation state changes (prevent infinite loop)
-    this.eventBus.on('nav:stateChanged', ({ isOpen }) => {
+    this.lifecycle.on('nav:stateChanged', ({ isOpen }) => {
       const currentState = this.stateManager.getState('isNavOpen');
       if (currentState !== isOpen) {
         this.stateManager.setState('isNavOpen', isOpen);
@@ -179,151 +498,147 @@ class App {
 
     // Theme changes are handled by ThemeManager
 
-    // Typing animation events
-    this.eventBus.on('typing:completed', () => {
-      // Initialize scroll spy after typing animation completes
-      if (this.managers.nav && this.managers.nav.initScrollSpy) {
-        setTimeout(() => {
-          this.managers.nav.initScrollSpy();
-        }, 1000);
-      }
-    });
-
-    // BlogManager 초기화 후 즉시 블로그 포스트 로드 시작
-    if (this.managers.blog) {
-      // 백그라운드에서 블로그 포스트 로드 (타이핑 애니메이션과 병렬 진행)
-      this.managers.blog.loadBlogPosts().catch(error => {
-        console.warn('초기 블로그 로드 실패:', error);
-      });
-    }
-
-    // Start typing animation after all managers are ready (타이밍 조정됨)
-    setTimeout(() => {
-      if (this.managers.typing) {
-        this.managers.typing.startAnimation();
-      }
-    }, 1500);
+    // Scroll spy is started by NavManager.init()
   }
 
   /**
    * Set up global event listeners
    */
   setupGlobalListeners() {
-    // Handle uncaught errors
-    window.addEventListener('error', (event) => {
-      console.error('Global error:', event.error);
-      this.eventBus.emit('app:error', { error: event.error });
+    // Handle uncaught errors (reported by ErrorReporter through app:error)
+    this.lifecycle.listen(window, 'error', (event) => {
+      this.eventBus.emit('app:error', { error: event.error || event.message, context: 'uncaught' });
     });
 
     // Handle unhandled promise rejections
-    window.addEventListener('unhandledrejection', (event) => {
-      console.error('Unhandled promise rejection:', event.reason);
-      this.eventBus.emit('app:error', { error: event.reason });
+    this.lifecycle.listen(window, 'unhandledrejection', (event) => {
+      this.eventBus.emit('app:error', { error: event.reason, context: 'unhandledrejection' });
     });
 
     // Handle page visibility changes
-    document.addEventListener('visibilitychange', () => {
+    this.lifecycle.listen(document, 'visibilitychange', () => {
       const isVisible = !document.hidden;
       this.eventBus.emit('app:visibilityChanged', { isVisible });
     });
 
     // Handle online/offline status
-    window.addEventListener('online', () => {
+    this.lifecycle.listen(window, 'online', () => {
       this.eventBus.emit('app:connectionChanged', { isOnline: true });
     });
 
-    window.addEventListener('offline', () => {
+    this.lifecycle.listen(window, 'offline', () => {
       this.eventBus.emit('app:connectionChanged', { isOnline: false });
     });
 
-    // Global keyboard shortcuts
-    document.addEventListener('keydown', (e) => {
-      this.handleKeyboardShortcuts(e);
-    });
-
+    // Global keyboard shortcuts (bindings live in the shortcut registry)
+    if (this.shortcutRegistry) {
+      this.registerShortcuts();
+      this.lifecycle.listen(document, 'keydown', (e) => {
+        this.shortcutRegistry.handleKeydown(e);
+      });
+    }
   }
 
   /**
-   * Handle keyboard shortcuts
-   * @param {KeyboardEvent} event - Keyboard event
+   * Register the app-wide keyboard shortcuts
+   * Managers register their own shortcuts (e.g. theme toggle) the same way.
    */
-  handleKeyboardShortcuts(event) {
-    // Escape key - close any open modals/menus
-    if (event.key === 'Escape') {
-      this.eventBus.emit('app:escape');
-    }
-
-    // Ctrl/Cmd + K - Focus search (if available)
-    if ((event.ctrlKey || event.metaKey) && event.key === 'k') {
-      event.preventDefault();
-      this.eventBus.emit('app:focusSearch');
-    }
+  registerShortcuts() {
+    const shortcuts = {
+      'app.escape': { keys: 'Escape', event: 'app:escape', descriptionKey: 'shortcuts.actions.escape', description: 'Close menus and dialogs', preventDefault: false, allowInInputs: true },
+      'app.search': { keys: 'Mod+K', event: 'app:focusSearch', descriptionKey: 'shortcuts.actions.search', description: 'Search', allowInInputs: true },
+      'app.help': { keys: '?', event: 'shortcuts:toggleHelp', descriptionKey: 'shortcuts.actions.help', description: 'Show keyboard shortcuts' }
+    };
 
-    // Theme toggle with Ctrl/Cmd + Shift + T
-    if ((event.ctrlKey || event.metaKey) && event.shiftKey && event.key === 'T') {
-      event.preventDefault();
-      this.eventBus.emit('theme:toggle');
-    }
+    Object.entries(shortcuts).forEach(([id, options]) => {
+      this.lifecycle.add('shortcuts', this.shortcutRegistry.register(id, options));
+    });
   }
 
   /**
    * Handle initialization errors
+   * Shows a localized notification with a retry action (restart) when the
+   * notifications manager is running, otherwise a plain DOM message
+   * (e.g. when initCore() or initConfig() failed).
    * @param {Error} error - Error that occurred
    */
   handleInitError(error) {
-    console.error('App initialization failed:', error);
+    if (!this.eventBus) {
+      console.error('App initialization failed:', error);
+      this.showErrorMessage();
+      return;
+    }
     
-    // Show user-friendly error message
-    const errorMessage = this.createErrorMessage(error);
-    document.body.appendChild(errorMessage);
+    // Emit error events (app:error is shipped by ErrorReporter)
+    this.eventBus.emit('app:initError', { error });
+    this.eventBus.emit('app:error', { error, manager: 'app', context: 'init' });
     
-    // Emit error event
-    if (this.eventBus) {
-      this.eventBus.emit('app:initError', { error });
+    if (!this.managers.notifications) {
+      this.showErrorMessage();
+      return;
     }
+    
+    // Show user-friendly error message
+    this.eventBus.emit('ui:notify', {
+      id: 'app-init',
+      type: 'error',
+      messageKey: 'initFailed',
+      action: { labelKey: 'retry', handler: () => this.restart() }
+    });
   }
 
   /**
-   * Create user-friendly error message element
-   * @param {Error} error - Error that occurred
-   * @returns {Element} Error message element
+   * Fallback error message for when NotificationManager is not running
+   * Uses the toast markup (styles/notifications.css) and the shared fallback texts;
+   * retry restarts the app, or reloads the page when the core systems are missing.
    */
-  createErrorMessage(error) {
-    const errorDiv = document.createElement('div');
-    errorDiv.className = 'app-error';
-    errorDiv.style.cssText = `
-      position: fixed;
-      top: 20px;
-      right: 20px;
-      background: #ff4444;
-      color: white;
-      padding: 15px;
-      border-radius: 5px;
-      z-index: 10000;
-      max-width: 300px;
-      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif;
-      font-size: 14px;
-    `;
-    
-    errorDiv.innerHTML = `
-      <strong>App Error</strong><br>
-      Something went wrong. Please refresh the page.
-      <br><br>
-      <button onclick="location.reload()" style="
-        background: white;
-        color: #ff4444;
-        border: none;
-        padding: 5px 10px;
-        border-radius: 3px;
-        cursor: pointer;
-      ">Refresh Page</button>
-    `;
-    
-    return errorDiv;
+  showErrorMessage() {
+    const t = (key, fallback) => window.I18nManager
+      ? window.I18nManager.translate(`notifications.${key}`, {}, { stateManager: this.stateManager, fallback })
+      : fallback;
+    const canRestart = Boolean(this.eventBus && this.stateManager);
+
+    document.querySelector('.app-error')?.remove();
+
+    const region = document.createElement('div');
+    region.className = 'notification-region app-error';
+    region.setAttribute('role', 'alert');
+
+    const notification = document.createElement('div');
+    notification.className = 'notification notification--error';
+
+    const body = document.createElement('div');
+    body.className = 'notification__body';
+    const title = document.createElement('strong');
+    title.className = 'notification__title';
+    title.textContent = t('titles.error', 'Error');
+    const message = document.createElement('p');
+    message.className = 'notification__message';
+    message.textContent = t('initFailed', 'Something went wrong while loading the page.');
+    body.append(title, message);
+
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'notification__action';
+    button.textContent = canRestart ? t('retry', 'Retry') : t('reload', 'Reload');
+    button.addEventListener('click', () => {
+      region.remove();
+      if (canRestart) {
+        this.restart();
+      } else {
+        window.location.reload();
+      }
+    });
+
+    notification.append(body, button);
+    region.appendChild(notification);
+    document.body.appendChild(region);
   }
 
   /**
    * Restart the application
+   * Managers are destroyed and recreated; core systems (EventBus, StateManager)
+   * and their state are kept, so getListenerCounts() matches before and after.
    */
   async restart() {
     
@@ -341,37 +656,59 @@ class App {
 
   /**
    * Destroy the application and cleanup
+   * Releases every listener, subscription, observer and timer registered by the
+   * app and its managers. EventBus/StateManager are shared core systems and keep
+   * their own listeners and state (including persisted theme and language).
    */
   async destroy() {
     
     try {
-      // Destroy all managers
-      for (const [name, manager] of Object.entries(this.managers)) {
-        if (manager && typeof manager.destroy === 'function') {
-          manager.destroy();
+      // Destroy managers in reverse initialization order (dependents first)
+      Object.keys(this.managers).reverse().forEach(name => {
+        try {
+          this.destroyManager(name);
+        } catch (error) {
+          console.error(`Error destroying ${name} manager:`, error);
         }
-      }
+      });
       
-      // Clear managers
-      this.managers = {};
+      // Release the app's own listeners
+      this.lifecycle?.dispose();
+      this.lifecycle = null;
       
-      // Clear state
-      if (this.stateManager) {
-        this.stateManager.reset();
-      }
+      this.isInitialized = false;
       
-      // Clear event bus
-      if (this.eventBus) {
-        this.eventBus.clear();
+      if (this.stateManager) {
+        this.stateManager.setState('appReady', false);
       }
       
-      this.isInitialized = false;
+      // Do not replay the previous run's app:ready / i18n:pageRendered to new managers
+      this.eventBus?.resetSticky();
       
     } catch (error) {
       console.error('Error during app destruction:', error);
     }
   }
 
+  /**
+   * Count live listeners and subscriptions (compare before and after restart())
+   * Usage: portfolioApp.getListenerCounts()
+   * @returns {Object} { bus, state, app, managers: { name: { events, dom, ... } } }
+   */
+  getListenerCounts() {
+    const managers = {};
+    Object.entries(this.lifecycles).forEach(([name, lifecycle]) => {
+      managers[name] = lifecycle.counts();
+    });
+    
+    return {
+      bus: this.eventBus?.listenerCount() || 0,
+      state: this.stateManager?.getSubscriberCount() || 0,
+      app: this.lifecycle?.counts() || {},
+      managers
+    };
+  }
+
   /**
    * Get manager instance
    * @param {string} name - Manager name
@@ -398,10 +735,35 @@ class App {
       initialized: this.isInitialized,
       managers: Object.keys(this.managers),
       theme: this.stateManager?.getState('theme') || 'unknown',
+      resolvedTheme: this.stateManager?.getState('resolvedTheme') || 'unknown',
       language: this.stateManager?.getState('language') || 'unknown'
     };
   }
 
+  /**
+   * Inspect EventBus listeners and recent traffic (for debugging in devtools)
+   * Usage: portfolioApp.inspectEvents({ limit: 50 })
+   * @param {Object} [options] - Inspector options
+   * @param {number} [options.limit=20] - Number of recent events to show
+   * @returns {Object|null} EventBus snapshot
+   */
+  inspectEvents(options = {}) {
+    if (!this.eventBus) return null;
+    
+    const snapshot = this.eventBus.inspect(options);
+    
+    console.group('📡 EventBus inspector');
+    console.table(snapshot.listeners);
+    console.table(snapshot.sticky);
+    console.table(snapshot.history.map(({ event, timestamp }) => ({
+      event,
+      time: new Date(timestamp).toISOString()
+    })));
+    console.groupEnd();
+    
+    return snapshot;
+  }
+
   /**
    * Utility delay function
    * @param {number} ms - Milliseconds to delay
@@ -0,0 +1,301 @@
+/**
+ * Config - Site settings loaded from config.json at startup
+ *
+ * Values are merged in this order (later wins):
+ *   1. Config.defaults (the values this portfolio ships with)
+ *   2. config.json next to index.html (optional)
+ *   3. window.PORTFOLIO_CONFIG set in an inline script before the core scripts
+ *
+ * Every known setting is validated against Config.schema; invalid values are
+ * reported (`config:invalid`, `app:error` warning) and replaced by the default.
+ * Sections without a schema (plugins, errorReporting, ...) are passed through.
+ *
+ * Managers receive the instance as `config` and read their section:
+ *   const { rssUrl, maxPosts } = config.get('blog');
+ */
+class Config {
+  /**
+   * @param {EventBus} eventBus - Event bus (load and validation events)
+   * @param {Object} [options] - Loader options
+   * @param {string} [options.url='config.json'] - Config file URL
+   * @param {Object} [options.overrides] - Values applied on top of the file (defaults to window.PORTFOLIO_CONFIG)
+   */
+  constructor(eventBus, { url = 'config.json', overrides = window.PORTFOLIO_CONFIG } = {}) {
+    this.eventBus = eventBus;
+    this.url = url;
+    this.overrides = overrides || {};
+
+    this.values = this.merge({}, Config.defaults);
+    this.errors = [];              // [{ path, value, reason }] from the last load
+    this.source = 'defaults';      // 'defaults' or 'file'
+  }
+
+  /**
+   * Default settings
+   */
+  static get defaults() {
+    return {
+      language: {
+        default: 'ko',                                  // Language for first-time visitors
+        supported: ['ko', 'en']                         // languages/<code>.json must exist
+      },
+      blog: {
+        rssUrl: 'https://arex.tistory.com/rss',
+        proxyUrl: 'https://api.allorigins.win/get',     // CORS proxy (AllOrigins-compatible)
+        maxPosts: 6,
+        cacheExpiry: 30 * 60 * 1000                     // ms
+      },
+      typing: {
+        speed: 100,                                     // ms per character
+        lineDelay: 500,                                 // pause before the second line (ms)
+        partDelay: 200,                                 // pause between name and ending (ms)
+        restartDelay: 200                               // pause before retyping after a language change (ms)
+      },
+      nav: {
+        headerOffset: 80                                // fixed header height (px)
+      },
+      themeSchedule: {
+        darkFrom: '19:00',                              // 'schedule' theme mode: dark from (local time)
+        darkUntil: '07:00',                             // ... until (may wrap midnight)
+        latitude: null,                                 // set both to follow sunset/sunrise instead
+        longitude: null
+      }
+    };
+  }
+
+  /**
+   * Validation rules by dot path
+   * Rule fields: type ('string' | 'number' | 'array'), nullable, integer, min, max,
+   * url (string must be an http(s) URL), pattern, items (array item rule), minItems
+   */
+  static get schema() {
+    const delay = { type: 'number', min: 0, max: 60 * 1000 };
+
+    return {
+      'language.default': { type: 'string', pattern: /^[a-z]{2}(-[A-Z]{2})?$/ },
+      'language.supported': { type: 'array', minItems: 1, items: { type: 'string', pattern: /^[a-z]{2}(-[A-Z]{2})?$/ } },
+      'blog.rssUrl': { type: 'string', url: true },
+      'blog.proxyUrl': { type: 'string', url: true },
+      'blog.maxPosts': { type: 'number', integer: true, min: 1, max: 50 },
+      'blog.cacheExpiry': { type: 'number', min: 0 },
+      'typing.speed': { type: 'number', min: 1, max: 1000 },
+      'typing.lineDelay': delay,
+      'typing.partDelay': delay,
+      'typing.restartDelay': delay,
+      'nav.headerOffset': { type: 'number', min: 0, max: 1000 },
+      'themeSchedule.darkFrom': { type: 'string', pattern: /^([01]\d|2[0-3]):[0-5]\d$/ },
+      'themeSchedule.darkUntil': { type: 'string', pattern: /^([01]\d|2[0-3]):[0-5]\d$/ },
+      'themeSchedule.latitude': { type: 'number', nullable: true, min: -90, max: 90 },
+      'themeSchedule.longitude': { type: 'number', nullable: true, min: -180, max: 180 }
+    };
+  }
+
+  /**
+   * Load config.json, merge it with the defaults and overrides, and validate
+   * A missing or unreadable file is not an error; the defaults are used.
+   * @param {Object} [options] - Load options
+   * @param {Function} [options.fetch] - fetch implementation (defaults to window.fetch)
+   * @returns {Promise<Object>} Merged settings
+   */
+  async load({ fetch = (...args) => window.fetch(...args) } = {}) {
+    const file = await this.fetchFile(fetch);
+    this.source = file ? 'file' : 'defaults';
+
+    const merged = this.merge(this.merge(this.merge({}, Config.defaults), file || {}), this.overrides);
+    this.errors = this.validate(merged);
+    this.values = merged;
+
+    if (this.errors.length > 0) {
+      this.errors.forEach(error => {
+        console.warn(`Invalid config '${error.path}' (${error.reason}), using default`, error.value);
+      });
+      this.eventBus.emit('config:invalid', { errors: this.errors });
+      this.eventBus.emit('app:error', {
+        error: new Error(`Invalid config: ${this.errors.map(error => error.path).join(', ')}`),
+        manager: 'config',
+        context: 'validate',
+        level: 'warning'
+      });
+    }
+
+    this.eventBus.emit('config:loaded', { source: this.source, errors: this.errors });
+    return this.values;
+  }
+
+  /**
+   * Fetch and parse the config file
+   * @param {Function} fetch - fetch implementation
+   * @returns {Promise<Object|null>} Parsed file, or null when unavailable
+   */
+  async fetchFile(fetch) {
+    if (!this.url) return null;
+
+    try {
+      const response = await fetch(this.url, { cache: 'no-cache' });
+      if (!response.ok) {
+        if (response.status !== 404) {
+          console.warn(`Could not load ${this.url}: HTTP ${response.status}`);
+        }
+        return null;
+      }
+
+      const file = await response.json();
+      if (!this.isPlainObject(file)) {
+        throw new TypeError('expected a JSON object');
+      }
+      return file;
+    } catch (error) {
+      this.eventBus.emit('app:error', { error, manager: 'config', context: `load ${this.url}`, level: 'warning' });
+      return null;
+    }
+  }
+
+  /**
+   * Validate merged settings, replacing invalid values with their defaults
+   * @param {Object} values - Merged settings (modified in place)
+   * @returns {Array<{path: string, value: *, reason: string}>} Errors
+   */
+  validate(values) {
+    const errors = [];
+
+    Object.entries(Config.schema).forEach(([path, rule]) => {
+      const value = this.getIn(values, path);
+      const reason = this.check(value, rule);
+      if (reason) {
+        errors.push({ path, value, reason });
+        this.setIn(values, path, this.getIn(Config.defaults, path));
+      }
+    });
+
+    // Unknown keys inside known sections are most likely typos
+    Object.keys(Config.defaults).forEach(section => {
+      if (!this.isPlainObject(values[section])) {
+        errors.push({ path: section, value: values[section], reason: 'expected an object' });
+        values[section] = this.merge({}, Config.defaults[section]);
+        return;
+      }
+
+      Object.keys(values[section])
+        .filter(key => !(`${section}.${key}` in Config.schema))
+        .forEach(key => {
+          errors.push({ path: `${section}.${key}`, value: values[section][key], reason: 'unknown setting' });
+          delete values[section][key];
+        });
+    });
+
+    // The default language must be one of the supported languages
+    if (!values.language.supported.includes(values.language.default)) {
+      errors.push({ path: 'language.default', value: values.language.default, reason: 'not in language.supported' });
+      values.language.default = values.language.supported[0];
+    }
+
+    // Coordinates only make sense together
+    const { latitude, longitude } = values.themeSchedule;
+    if ((latitude === null) !== (longitude === null)) {
+      const path = latitude === null ? 'themeSchedule.latitude' : 'themeSchedule.longitude';
+      errors.push({ path, value: null, reason: 'latitude and longitude must be set together' });
+      values.themeSchedule.latitude = values.themeSchedule.longitude = null;
+    }
+
+    return errors;
+  }
+
+  /**
+   * Check a value against a rule
+   * @param {*} value - Value
+   * @param {Object} rule - Validation rule
+   * @returns {string|null} Reason the value is invalid, or null
+   */
+  check(value, rule) {
+    if (value === null && rule.nullable) return null;
+
+    const type = Array.isArray(value) ? 'array' : typeof value;
+    if (type !== rule.type || (type === 'number' && !Number.isFinite(value))) {
+      return `expected ${rule.type}`;
+    }
+
+    if (rule.integer && !Number.isInteger(value)) return 'expected an integer';
+    if (rule.min !== undefined && value < rule.min) return `must be at least ${rule.min}`;
+    if (rule.max !== undefined && value > rule.max) return `must be at most ${rule.max}`;
+    if (rule.pattern && !rule.pattern.test(value)) return `must match ${rule.pattern}`;
+    if (rule.url && !/^https?:\/\/\S+$/.test(value)) return 'expected an http(s) URL';
+
+    if (rule.type === 'array') {
+      if (rule.minItems && value.length < rule.minItems) return `needs at least ${rule.minItems} item(s)`;
+      for (const item of value) {
+        const reason = rule.items && this.check(item, rule.items);
+        if (reason) return `item ${JSON.stringify(item)}: ${reason}`;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Get a setting or a copy of a section
+   * @param {string} [path] - Dot path (e.g. 'blog' or 'blog.maxPosts'); all settings when omitted
+   * @param {*} [fallback] - Returned when the path does not exist
+   * @returns {*} Value (objects are copies, so callers cannot change the config)
+   */
+  get(path, fallback) {
+    const value = path ? this.getIn(this.values, path) : this.values;
+    if (value === undefined) return fallback;
+
+    return value !== null && typeof value === 'object' ? this.merge(Array.isArray(value) ? [] : {}, value) : value;
+  }
+
+  /**
+   * Deep-merge plain objects (arrays and other values are replaced)
+   * @param {Object} target - Object merged into (modified)
+   * @param {Object} source - Values to merge
+   * @returns {Object} target
+   */
+  merge(target, source) {
+    Object.entries(source || {}).forEach(([key, value]) => {
+      if (this.isPlainObject(value)) {
+        target[key] = this.merge(this.isPlainObject(target[key]) ? target[key] : {}, value);
+      } else {
+        target[key] = Array.isArray(value) ? [...value] : value;
+      }
+    });
+    return target;
+  }
+
+  /**
+   * Read a dot path
+   * @param {Object} source - Object to read from
+   * @param {string} path - Dot path
+   * @returns {*} Value or undefined
+   */
+  getIn(source, path) {
+    return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), source);
+  }
+
+  /**
+   * Write a dot path (creating intermediate objects)
+   * @param {Object} target - Object to write to
+   * @param {string} path - Dot path
+   * @param {*} value - Value
+   */
+  setIn(target, path, value) {
+    const keys = path.split('.');
+    const last = keys.pop();
+    const parent = keys.reduce((object, key) => {
+      if (!this.isPlainObject(object[key])) object[key] = {};
+      return object[key];
+    }, target);
+    parent[last] = Array.isArray(value) ? [...value] : value;
+  }
+
+  /**
+   * @param {*} value - Value to check
+   * @returns {boolean} True for plain objects
+   */
+  isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+}
+
+// Export class and global instance (loaded by App before managers are created)
+window.Config = Config;
+window.appConfig = new Config(window.eventBus);
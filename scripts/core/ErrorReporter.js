@@ -0,0 +1,389 @@
+/**
+ * ErrorReporter - Collects errors from the whole app and ships them to sinks
+ *
+ * Errors arrive through the `app:error` event ({ error, manager, context, level })
+ * or report(). Each report is tagged with the originating manager, the EventBus
+ * event being dispatched and a snapshot of the state (without translations),
+ * then deduplicated and rate-limited before being passed to every sink.
+ *
+ * A sink is a function `(report) => void|Promise` or an object with `send(report)`.
+ * Built-in sinks: ErrorReporter.consoleSink(), ErrorReporter.storageSink()
+ * (ring buffer in localStorage) and ErrorReporter.httpSink() (POST as JSON).
+ */
+class ErrorReporter {
+  /**
+   * @param {EventBus} eventBus - Event bus (app:error source, event tagging)
+   * @param {StateManager} stateManager - State manager (state snapshots)
+   * @param {Object} [options] - Reporter options
+   * @param {number} [options.dedupeInterval=60000] - Identical errors within this window are counted, not re-sent (ms)
+   * @param {number} [options.rateLimit=10] - Maximum reports per rateInterval
+   * @param {number} [options.rateInterval=60000] - Rate limit window (ms)
+   */
+  constructor(eventBus, stateManager, { dedupeInterval = 60 * 1000, rateLimit = 10, rateInterval = 60 * 1000 } = {}) {
+    this.eventBus = eventBus;
+    this.stateManager = stateManager;
+    this.dedupeInterval = dedupeInterval;
+    this.rateLimit = rateLimit;
+    this.rateInterval = rateInterval;
+
+    this.sinks = new Map();          // name -> sink
+    this.recent = new Map();         // fingerprint -> last sent report
+    this.sentTimestamps = [];        // send times within the rate window
+    this.dropped = 0;                // reports dropped by the rate limit
+    this.isReporting = false;        // guards against errors raised by sinks
+
+    this.eventBus.on('app:error', (payload) => this.handleErrorEvent(payload));
+
+    // Listener errors are reported instead of only being logged by the bus
+    this.eventBus.setErrorHandler((error, event) => this.report(error, { event }));
+  }
+
+  /**
+   * Apply settings and (re)create the built-in sinks
+   * Called at load with window.PORTFOLIO_CONFIG.errorReporting and again by App
+   * once config.json is loaded. Sinks added with addSink() under other names are kept.
+   * @param {Object} [options] - Reporter settings
+   * @param {boolean} [options.console=true] - Log reports to the console
+   * @param {boolean} [options.storage=true] - Keep reports in localStorage
+   * @param {string} [options.storageKey] - Storage key (see storageSink())
+   * @param {number} [options.storageLimit] - Number of stored reports (see storageSink())
+   * @param {string} [options.endpoint] - URL receiving reports as JSON POST
+   * @param {Object} [options.headers] - Extra request headers for the endpoint
+   * @param {number} [options.dedupeInterval] - See constructor
+   * @param {number} [options.rateLimit] - See constructor
+   * @param {number} [options.rateInterval] - See constructor
+   * @returns {ErrorReporter} This reporter (chainable)
+   */
+  configure({
+    console: useConsole = true, storage = true, storageKey, storageLimit, endpoint, headers,
+    dedupeInterval = this.dedupeInterval, rateLimit = this.rateLimit, rateInterval = this.rateInterval
+  } = {}) {
+    this.dedupeInterval = dedupeInterval;
+    this.rateLimit = rateLimit;
+    this.rateInterval = rateInterval;
+
+    const builtIns = {
+      console: useConsole !== false && (() => ErrorReporter.consoleSink()),
+      storage: storage !== false && (() => ErrorReporter.storageSink({ key: storageKey, limit: storageLimit })),
+      http: !!endpoint && (() => ErrorReporter.httpSink({ endpoint, headers }))
+    };
+    Object.entries(builtIns).forEach(([name, create]) => {
+      if (create) {
+        this.addSink(name, create());
+      } else {
+        this.removeSink(name);
+      }
+    });
+
+    return this;
+  }
+
+  /**
+   * Handle an app:error payload
+   * @param {Object|Error} payload - { error, manager, context, level } or an Error
+   */
+  handleErrorEvent(payload) {
+    if (this.isErrorLike(payload) || !payload || typeof payload !== 'object') {
+      this.report(payload);
+      return;
+    }
+
+    // The handler runs while app:error is dispatched; tag the event that was running before it
+    const { error, ...context } = payload;
+    const outerEvent = this.eventBus.getDispatchStack().filter(name => name !== 'app:error').pop() || null;
+    this.report(error, { event: outerEvent, ...context });
+  }
+
+  /**
+   * Add a sink (replaces an existing sink with the same name)
+   * @param {string} name - Sink name
+   * @param {Function|Object} sink - Function or object with send(report)
+   * @returns {ErrorReporter} This reporter (chainable)
+   */
+  addSink(name, sink) {
+    if (typeof sink !== 'function' && typeof sink?.send !== 'function') {
+      throw new TypeError(`Error sink '${name}' must be a function or have a send() method`);
+    }
+
+    this.sinks.set(name, sink);
+    return this;
+  }
+
+  /**
+   * Remove a sink
+   * @param {string} name - Sink name
+   * @returns {boolean} True if the sink existed
+   */
+  removeSink(name) {
+    return this.sinks.delete(name);
+  }
+
+  /**
+   * Report an error
+   * @param {Error|string|*} error - Error, message or rejection reason
+   * @param {Object} [context] - Extra tags
+   * @param {string} [context.manager] - Manager the error comes from
+   * @param {string} [context.event] - Event being handled (defaults to the current bus event)
+   * @param {string} [context.context] - Free-form description (e.g. the failed operation)
+   * @param {string} [context.level='error'] - 'error' or 'warning'
+   * @returns {Object|null} The report, or null if it was deduplicated or rate-limited
+   */
+  report(error, context = {}) {
+    if (this.isReporting) {
+      console.error('Error while reporting an error:', error);
+      return null;
+    }
+
+    this.isReporting = true;
+    try {
+      const report = this.createReport(error, context);
+      if (this.isDuplicate(report) || this.isRateLimited(report)) {
+        return null;
+      }
+
+      this.remember(report);
+      this.dispatch(report);
+      this.eventBus.emit('app:errorReported', report);
+      return report;
+    } finally {
+      this.isReporting = false;
+    }
+  }
+
+  /**
+   * Build a report tagged with manager, event and state snapshot
+   * @param {*} error - Error, message or rejection reason
+   * @param {Object} context - Extra tags (see report())
+   * @returns {Object} Report
+   */
+  createReport(error, { manager = null, event, context = null, level = 'error' } = {}) {
+    const normalized = this.isErrorLike(error)
+      ? error
+      : new Error(typeof error === 'string' ? error : this.describe(error));
+
+    const report = {
+      name: normalized.name,
+      message: normalized.message,
+      stack: normalized.stack || null,
+      level,
+      manager,
+      event: event !== undefined ? event : this.eventBus.getCurrentEvent(),
+      context,
+      state: this.getStateSnapshot(),
+      url: window.location?.href || null,
+      userAgent: window.navigator?.userAgent || null,
+      timestamp: Date.now(),
+      count: 1
+    };
+    report.fingerprint = this.getFingerprint(report);
+
+    return report;
+  }
+
+  /**
+   * Check for an Error, including ones created in another realm (iframes)
+   * @param {*} value - Value to check
+   * @returns {boolean} True if the value looks like an Error
+   */
+  isErrorLike(value) {
+    return value instanceof Error ||
+      (!!value && typeof value === 'object' && typeof value.name === 'string' && typeof value.message === 'string');
+  }
+
+  /**
+   * Describe a non-Error rejection reason
+   * @param {*} value - Thrown value
+   * @returns {string} Description
+   */
+  describe(value) {
+    try {
+      return JSON.stringify(value) ?? String(value);
+    } catch (error) {
+      return String(value);
+    }
+  }
+
+  /**
+   * State without bulky or derived data
+   * @returns {Object} Snapshot
+   */
+  getStateSnapshot() {
+    const { translations, ...state } = this.stateManager?.getState() || {};
+    return {
+      ...JSON.parse(JSON.stringify(state)),
+      translationsLoaded: !!translations && Object.keys(translations).length > 0
+    };
+  }
+
+  /**
+   * Identify "the same" error: name, message, manager and top stack frame
+   * @param {Object} report - Report
+   * @returns {string} Fingerprint
+   */
+  getFingerprint({ name, message, manager, stack }) {
+    const frame = (stack || '').split('\n').find(line => line.trim().startsWith('at ')) || '';
+    return [name, message, manager || '', frame.trim()].join('|');
+  }
+
+  /**
+   * Count repeats of a recently sent error instead of sending it again
+   * @param {Object} report - Report
+   * @returns {boolean} True if the report is a duplicate
+   */
+  isDuplicate(report) {
+    const previous = this.recent.get(report.fingerprint);
+    if (previous && report.timestamp - previous.timestamp < this.dedupeInterval) {
+      previous.count++;
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Remember a sent report for deduplication, forgetting expired fingerprints
+   * @param {Object} report - Report
+   */
+  remember(report) {
+    this.recent.forEach((previous, fingerprint) => {
+      if (report.timestamp - previous.timestamp >= this.dedupeInterval) {
+        this.recent.delete(fingerprint);
+      }
+    });
+
+    this.recent.set(report.fingerprint, report);
+  }
+
+  /**
+   * Enforce the maximum number of reports per window
+   * @param {Object} report - Report
+   * @returns {boolean} True if the report must be dropped
+   */
+  isRateLimited(report) {
+    this.sentTimestamps = this.sentTimestamps.filter(time => report.timestamp - time < this.rateInterval);
+
+    if (this.sentTimestamps.length >= this.rateLimit) {
+      this.dropped++;
+      return true;
+    }
+
+    this.sentTimestamps.push(report.timestamp);
+    return false;
+  }
+
+  /**
+   * Pass a report to every sink; a failing sink does not affect the others
+   * @param {Object} report - Report
+   */
+  dispatch(report) {
+    this.sinks.forEach((sink, name) => {
+      const handleFailure = (error) => console.warn(`Error sink '${name}' failed:`, error);
+
+      try {
+        const result = typeof sink === 'function' ? sink(report) : sink.send(report);
+        if (result && typeof result.catch === 'function') {
+          result.catch(handleFailure);
+        }
+      } catch (error) {
+        handleFailure(error);
+      }
+    });
+  }
+
+  /**
+   * Sink logging reports to the browser console
+   * @returns {Function} Sink
+   */
+  static consoleSink() {
+    return (report) => {
+      const tags = [report.manager, report.event, report.context].filter(Boolean).join(' · ');
+      const log = report.level === 'warning' ? console.warn : console.error;
+      log(`[${tags || 'app'}] ${report.name}: ${report.message}`, report);
+    };
+  }
+
+  /**
+   * Sink keeping the most recent reports in storage (ring buffer)
+   * @param {Object} [options] - Sink options
+   * @param {string} [options.key='portfolio-errors'] - Storage key
+   * @param {number} [options.limit=20] - Number of reports kept
+   * @param {Object} [options.storage] - Storage adapter (defaults to storageAdapters.local)
+   * @returns {Object} Sink with send(report), read() and clear()
+   */
+  static storageSink({ key = 'portfolio-errors', limit = 20, storage = window.storageAdapters?.local } = {}) {
+    const read = () => {
+      try {
+        const entries = JSON.parse(storage.getItem(key) || '[]');
+        return Array.isArray(entries) ? entries : [];
+      } catch (error) {
+        return [];
+      }
+    };
+
+    return {
+      send(report) {
+        const entries = [...read(), report].slice(-limit);
+        storage.setItem(key, JSON.stringify(entries));
+      },
+      read,
+      clear() {
+        storage.removeItem(key);
+      }
+    };
+  }
+
+  /**
+   * Sink POSTing each report as JSON
+   * @param {Object} options - Sink options
+   * @param {string} options.endpoint - URL receiving the reports
+   * @param {Object} [options.headers] - Extra request headers
+   * @param {Function} [options.fetch] - fetch implementation (defaults to window.fetch)
+   * @returns {Function} Sink
+   */
+  static httpSink({ endpoint, headers = {}, fetch = (...args) => window.fetch(...args) }) {
+    if (!endpoint) {
+      throw new Error('httpSink requires an endpoint');
+    }
+
+    return async (report) => {
+      const response = await fetch(endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(report),
+        keepalive: true
+      });
+
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status} from ${endpoint}`);
+      }
+    };
+  }
+
+  /**
+   * Reporter statistics for debugging
+   * @returns {Object} { sinks, recent, dropped }
+   */
+  getStats() {
+    return {
+      sinks: Array.from(this.sinks.keys()),
+      recent: Array.from(this.recent.values()).map(({ fingerprint, count, timestamp }) => ({ fingerprint, count, timestamp })),
+      dropped: this.dropped
+    };
+  }
+}
+
+/**
+ * Create the global reporter
+ * Configured from window.PORTFOLIO_CONFIG.errorReporting right away, so errors
+ * raised before config.json is loaded are collected too; App re-applies the
+ * merged `errorReporting` section (config.json + overrides) with configure().
+ *   { console: true, storage: true, storageKey, storageLimit, endpoint, headers,
+ *     dedupeInterval, rateLimit, rateInterval }
+ */
+function createErrorReporter(config = {}) {
+  return new ErrorReporter(window.eventBus, window.stateManager).configure(config);
+}
+
+// Export class and global instance
+window.ErrorReporter = ErrorReporter;
+window.errorReporter = createErrorReporter(window.PORTFOLIO_CONFIG?.errorReporting);
@@ -1,97 +1,597 @@
 /**
  * EventBus - Central event management system
  * Provides pub/sub pattern for decoupled communication between components
+ *
+ * Event names may contain `*` wildcards to subscribe to a whole namespace:
+ * - `on('blog:*', cb)` receives every `blog:` event
+ * - `on('*', cb)` receives every event
+ * Callbacks are invoked as `callback(data, eventName)`.
+ *
+ * Listeners run in descending `priority` order (default 0); listeners with
+ * the same priority run in registration order.
+ *
+ * Every emitted event is recorded in a bounded ring buffer (see getHistory()).
+ * Events marked with sticky() keep their last payload and replay it to
+ * subscribers that register after the event was emitted.
+ *
+ * scope(name) groups subscriptions so they can be released together with
+ * dispose(). Like Node's EventEmitter, a warning is logged when an event has
+ * more than `maxListeners` listeners, which usually indicates a leak.
  */
 class EventBus {
   constructor() {
-    this.events = new Map();
+    this.events = new Map();     // exact event name -> listeners
+    this.wildcards = new Map();  // wildcard pattern -> listeners
+    this.patternCache = new Map();
+    this.sequence = 0;           // registration counter for stable ordering
+
+    // Event history (ring buffer)
+    this.historyLimit = 100;
+    this.history = [];
+    this.historyIndex = 0;       // next write position once the buffer is full
+
+    // Sticky events: name -> last recorded entry
+    this.stickyEvents = new Set();
+    this.stickyPayloads = new Map();
+
+    // Leak detection
+    this.maxListeners = 10;      // 0 disables the warning
+    this.warnedEvents = new Set();
+    this.scopes = new Set();
+
+    // Events currently being dispatched (innermost last), see getCurrentEvent()
+    this.dispatchStack = [];
+
+    // Receives errors thrown by listeners (see setErrorHandler())
+    this.errorHandler = null;
+  }
+
+  /**
+   * Check whether an event name is a wildcard pattern
+   * @param {string} event - Event name or pattern
+   * @returns {boolean} True if the name contains a wildcard
+   */
+  isPattern(event) {
+    return typeof event === 'string' && event.includes('*');
+  }
+
+  /**
+   * Check whether an event name matches a wildcard pattern
+   * @param {string} pattern - Pattern (e.g. 'blog:*')
+   * @param {string} event - Concrete event name
+   * @returns {boolean} True if the event matches
+   */
+  matches(pattern, event) {
+    if (!this.isPattern(pattern)) return pattern === event;
+
+    if (!this.patternCache.has(pattern)) {
+      const source = pattern
+        .split('*')
+        .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+        .join('.*');
+      this.patternCache.set(pattern, new RegExp(`^${source}$`));
+    }
+
+    return this.patternCache.get(pattern).test(event);
+  }
+
+  /**
+   * Get the listener map an event name or pattern belongs to
+   * @param {string} event - Event name or pattern
+   * @returns {Map} Listener map
+   */
+  getListenerMap(event) {
+    return this.isPattern(event) ? this.wildcards : this.events;
+  }
+
+  /**
+   * Sort comparator: higher priority first, then registration order
+   * @param {Object} a - Listener record
+   * @param {Object} b - Listener record
+   * @returns {number} Sort order
+   */
+  compareListeners(a, b) {
+    return (b.priority - a.priority) || (a.order - b.order);
   }
 
   /**
    * Subscribe to an event
-   * @param {string} event - Event name
+   * @param {string} event - Event name or wildcard pattern
    * @param {Function} callback - Callback function
+   * @param {Object} [options] - Subscription options
+   * @param {number} [options.priority=0] - Higher priorities run first
+   * @param {boolean} [options.replay=true] - Replay matching sticky events immediately
    * @returns {Function} Unsubscribe function
    */
-  on(event, callback) {
-    if (!this.events.has(event)) {
-      this.events.set(event, []);
+  on(event, callback, options = {}) {
+    const listeners = this.getListenerMap(event);
+
+    if (!listeners.has(event)) {
+      listeners.set(event, []);
     }
-    
-    this.events.get(event).push(callback);
-    
+
+    const list = listeners.get(event);
+    const listener = {
+      callback,
+      priority: Number(options.priority) || 0,
+      order: this.sequence++
+    };
+    list.push(listener);
+    list.sort((a, b) => this.compareListeners(a, b));
+    this.checkListenerLimit(event, list.length);
+
+    if (options.replay !== false) {
+      this.replaySticky(event, listener);
+    }
+
     // Return unsubscribe function
     return () => this.off(event, callback);
   }
 
   /**
    * Unsubscribe from an event
-   * @param {string} event - Event name
+   * @param {string} event - Event name or wildcard pattern
    * @param {Function} callback - Callback function to remove
    */
   off(event, callback) {
-    if (!this.events.has(event)) return;
-    
-    const callbacks = this.events.get(event);
-    const index = callbacks.indexOf(callback);
-    
+    const listeners = this.getListenerMap(event);
+    if (!listeners.has(event)) return;
+
+    const list = listeners.get(event);
+    const index = list.findIndex(listener => listener.callback === callback);
+
     if (index > -1) {
-      callbacks.splice(index, 1);
+      list.splice(index, 1);
     }
-    
+
     // Clean up empty arrays
-    if (callbacks.length === 0) {
-      this.events.delete(event);
+    if (list.length === 0) {
+      listeners.delete(event);
+      this.warnedEvents.delete(event);
     }
   }
 
+  /**
+   * Warn once per event when its listener count exceeds maxListeners
+   * @param {string} event - Event name or pattern
+   * @param {number} count - Current listener count
+   */
+  checkListenerLimit(event, count) {
+    if (this.maxListeners <= 0 || count <= this.maxListeners) return;
+    if (this.warnedEvents.has(event)) return;
+
+    this.warnedEvents.add(event);
+    console.warn(
+      `Possible EventBus memory leak detected. ${count} '${event}' listeners added. ` +
+      `MaxListeners is ${this.maxListeners}. Use eventBus.setMaxListeners() to increase limit, ` +
+      `or register through eventBus.scope() and dispose() it.`,
+      new Error('Listener added at').stack
+    );
+  }
+
+  /**
+   * Set the per-event listener count that triggers a leak warning
+   * @param {number} count - Maximum listeners per event (0 = unlimited)
+   */
+  setMaxListeners(count) {
+    this.maxListeners = Math.max(0, Number(count) || 0);
+    this.warnedEvents.clear();
+  }
+
+  /**
+   * Create a subscription scope whose listeners can be removed together
+   * @param {string} name - Scope name (shown in inspect())
+   * @returns {EventScope} Scope with on/once/emit/dispose
+   */
+  scope(name) {
+    const scope = new EventScope(this, name);
+    this.scopes.add(scope);
+    return scope;
+  }
+
+  /**
+   * Collect listeners for an event from exact subscribers and matching patterns
+   * @param {string} event - Event name
+   * @returns {Array<Object>} Listener records in invocation order
+   */
+  getListeners(event) {
+    // Copy so that once()/off() during dispatch does not skip listeners
+    const listeners = [...(this.events.get(event) || [])];
+
+    this.wildcards.forEach((patternListeners, pattern) => {
+      if (this.matches(pattern, event)) {
+        listeners.push(...patternListeners);
+      }
+    });
+
+    return listeners.sort((a, b) => this.compareListeners(a, b));
+  }
+
   /**
    * Emit an event
    * @param {string} event - Event name
    * @param {*} data - Data to pass to callbacks
    */
   emit(event, data) {
-    if (!this.events.has(event)) return;
-    
-    const callbacks = this.events.get(event);
-    callbacks.forEach(callback => {
+    this.record(event, data);
+
+    this.getListeners(event).forEach(({ callback }) => {
+      this.invoke(callback, data, event);
+    });
+  }
+
+  /**
+   * Invoke a single callback, isolating errors
+   * @param {Function} callback - Callback function
+   * @param {*} data - Event payload
+   * @param {string} event - Event name
+   */
+  invoke(callback, data, event) {
+    this.dispatchStack.push(event);
+
+    try {
+      callback(data, event);
+    } catch (error) {
+      this.handleListenerError(error, event);
+    } finally {
+      this.dispatchStack.pop();
+    }
+  }
+
+  /**
+   * Route an error thrown by a listener to the error handler (or the console)
+   * @param {Error} error - Thrown error
+   * @param {string} event - Event being dispatched
+   */
+  handleListenerError(error, event) {
+    if (this.errorHandler) {
+      try {
+        this.errorHandler(error, event);
+        return;
+      } catch (handlerError) {
+        console.error('Error in EventBus error handler:', handlerError);
+      }
+    }
+
+    console.error(`Error in event callback for '${event}':`, error);
+  }
+
+  /**
+   * Set the function receiving errors thrown by listeners
+   * (used by ErrorReporter; errors are logged to the console when unset)
+   * @param {Function|null} handler - Handler (error, eventName)
+   */
+  setErrorHandler(handler) {
+    this.errorHandler = typeof handler === 'function' ? handler : null;
+  }
+
+  /**
+   * Get the event whose handler is currently running synchronously
+   * @returns {string|null} Event name, or null outside of a handler
+   */
+  getCurrentEvent() {
+    return this.dispatchStack.length > 0 ? this.dispatchStack[this.dispatchStack.length - 1] : null;
+  }
+
+  /**
+   * Get every event currently being dispatched, outermost first
+   * @returns {Array<string>} Event names
+   */
+  getDispatchStack() {
+    return [...this.dispatchStack];
+  }
+
+  /**
+   * Emit an event and await every handler in priority order
+   * @param {string} event - Event name
+   * @param {*} data - Data to pass to callbacks
+   * @returns {Promise<{results: Array, errors: Array<Error>}>} Handler return values and thrown errors
+   */
+  async emitAsync(event, data) {
+    const results = [];
+    const errors = [];
+
+    this.record(event, data);
+
+    for (const { callback } of this.getListeners(event)) {
       try {
-        callback(data);
+        // Only the synchronous part of the handler counts as "dispatching"
+        let result;
+        this.dispatchStack.push(event);
+        try {
+          result = callback(data, event);
+        } finally {
+          this.dispatchStack.pop();
+        }
+        results.push(await result);
       } catch (error) {
-        console.error(`Error in event callback for '${event}':`, error);
+        this.handleListenerError(error, event);
+        errors.push(error);
       }
-    });
+    }
+
+    return { results, errors };
   }
 
   /**
    * Subscribe to an event once
-   * @param {string} event - Event name
+   * @param {string} event - Event name or wildcard pattern
    * @param {Function} callback - Callback function
+   * @param {Object} [options] - Subscription options (see on())
+   * @returns {Function} Unsubscribe function
    */
-  once(event, callback) {
-    const onceCallback = (data) => {
-      callback(data);
+  once(event, callback, options = {}) {
+    const onceCallback = (data, eventName) => {
       this.off(event, onceCallback);
+      return callback(data, eventName);
     };
-    
-    this.on(event, onceCallback);
+
+    return this.on(event, onceCallback, options);
   }
 
   /**
-   * Clear all event listeners
+   * Clear all event listeners and sticky payloads
+   * (sticky configuration and history are kept)
    */
   clear() {
     this.events.clear();
+    this.wildcards.clear();
+    this.stickyPayloads.clear();
+    this.warnedEvents.clear();
+    this.scopes.forEach(scope => scope.subscriptions.clear());
+  }
+
+  /**
+   * Count registered listeners
+   * @param {string} [event] - Registered event name or pattern (all listeners if omitted)
+   * @returns {number} Listener count
+   */
+  listenerCount(event) {
+    if (event !== undefined) {
+      return this.getListenerMap(event).get(event)?.length || 0;
+    }
+
+    let count = 0;
+    [...this.events.values(), ...this.wildcards.values()].forEach(list => {
+      count += list.length;
+    });
+    return count;
+  }
+
+  /**
+   * Get list of registered events and patterns
+   * @param {string} [pattern] - Only return registered names matching this pattern
+   * @returns {Array<string>} Array of event names and patterns
+   */
+  getEvents(pattern) {
+    const names = [...this.events.keys(), ...this.wildcards.keys()];
+    return pattern ? names.filter(name => this.matches(pattern, name)) : names;
+  }
+
+  /**
+   * Record an emitted event in the history ring buffer
+   * @param {string} event - Event name
+   * @param {*} data - Event payload
+   */
+  record(event, data) {
+    const entry = { event, data, timestamp: Date.now() };
+
+    // A limit of 0 disables the history (sticky payloads are still kept)
+    if (this.historyLimit > 0) {
+      if (this.history.length < this.historyLimit) {
+        this.history.push(entry);
+      } else {
+        this.history[this.historyIndex] = entry;
+      }
+      this.historyIndex = (this.historyIndex + 1) % this.historyLimit;
+    }
+
+    if (this.stickyEvents.has(event)) {
+      this.stickyPayloads.set(event, entry);
+    }
+  }
+
+  /**
+   * Get recorded events, oldest first
+   * @param {Object} [options] - Filter options
+   * @param {string} [options.event] - Only include events matching this name or pattern
+   * @param {number} [options.limit] - Only include the most recent N entries
+   * @returns {Array<{event: string, data: *, timestamp: number}>} History entries
+   */
+  getHistory({ event, limit } = {}) {
+    const isFull = this.history.length === this.historyLimit;
+    let entries = isFull
+      ? [...this.history.slice(this.historyIndex), ...this.history.slice(0, this.historyIndex)]
+      : [...this.history];
+
+    if (event) {
+      entries = entries.filter(entry => this.matches(event, entry.event));
+    }
+
+    return limit ? entries.slice(-limit) : entries;
+  }
+
+  /**
+   * Change the history buffer size, keeping the most recent entries
+   * @param {number} limit - Maximum number of recorded events (0 disables the history)
+   */
+  setHistoryLimit(limit) {
+    const historyLimit = Math.max(0, Math.floor(limit) || 0);
+    const entries = historyLimit > 0 ? this.getHistory().slice(-historyLimit) : [];
+    this.historyLimit = historyLimit;
+    this.history = entries;
+    this.historyIndex = historyLimit > 0 ? entries.length % historyLimit : 0;
+  }
+
+  /**
+   * Mark events as sticky: late subscribers receive the last payload on subscribe
+   * @param {...string} events - Event names
+   */
+  sticky(...events) {
+    events.forEach(event => this.stickyEvents.add(event));
+  }
+
+  /**
+   * Forget the last payload of sticky events so they are not replayed
+   * until emitted again (e.g. app:ready after the app is destroyed)
+   * @param {...string} events - Event names (all sticky events if omitted)
+   */
+  resetSticky(...events) {
+    if (events.length === 0) {
+      this.stickyPayloads.clear();
+      return;
+    }
+
+    events.forEach(event => this.stickyPayloads.delete(event));
+  }
+
+  /**
+   * Replay sticky payloads matching a new subscription
+   * @param {string} event - Subscribed event name or pattern
+   * @param {Object} listener - Newly registered listener record
+   */
+  replaySticky(event, listener) {
+    this.stickyPayloads.forEach((entry, name) => {
+      if (!this.matches(event, name)) return;
+
+      // once() listeners remove themselves after the first replay
+      const list = this.getListenerMap(event).get(event);
+      if (!list || !list.includes(listener)) return;
+
+      this.invoke(listener.callback, entry.data, name);
+    });
+  }
+
+  /**
+   * Inspect the bus for debugging: listener counts, sticky events and recent traffic
+   * @param {Object} [options] - Inspector options
+   * @param {number} [options.limit=20] - Number of recent events to include
+   * @returns {Object} Snapshot of the bus
+   */
+  inspect({ limit = 20 } = {}) {
+    const listeners = {};
+    const scopes = {};
+
+    [...this.events, ...this.wildcards].forEach(([name, list]) => {
+      listeners[name] = list.length;
+    });
+
+    this.scopes.forEach(scope => {
+      scopes[scope.name] = (scopes[scope.name] || 0) + scope.size;
+    });
+
+    return {
+      listeners,
+      totalListeners: this.listenerCount(),
+      scopes,
+      maxListeners: this.maxListeners,
+      overLimit: Array.from(this.warnedEvents),
+      sticky: Array.from(this.stickyEvents).map(name => ({
+        event: name,
+        emitted: this.stickyPayloads.has(name),
+        timestamp: this.stickyPayloads.get(name)?.timestamp || null
+      })),
+      history: this.getHistory({ limit })
+    };
+  }
+}
+
+/**
+ * EventScope - Group of EventBus subscriptions released together
+ * Created with eventBus.scope(name); managers dispose() their scope on destroy
+ */
+class EventScope {
+  constructor(bus, name) {
+    this.bus = bus;
+    this.name = name;
+    this.subscriptions = new Set();  // unsubscribe functions
+  }
+
+  /**
+   * Subscribe to an event within this scope
+   * @param {string} event - Event name or wildcard pattern
+   * @param {Function} callback - Callback function
+   * @param {Object} [options] - Subscription options (see EventBus.on())
+   * @returns {Function} Unsubscribe function
+   */
+  on(event, callback, options) {
+    return this.track(this.bus.on(event, callback, options));
+  }
+
+  /**
+   * Subscribe to an event once within this scope
+   * @param {string} event - Event name or wildcard pattern
+   * @param {Function} callback - Callback function
+   * @param {Object} [options] - Subscription options (see EventBus.on())
+   * @returns {Function} Unsubscribe function
+   */
+  once(event, callback, options) {
+    let fired = false;
+    let release = null;
+
+    const unsubscribe = this.bus.once(event, (data, eventName) => {
+      fired = true;
+      if (release) release();
+      return callback(data, eventName);
+    }, options);
+
+    // Sticky replay may already have fired it during subscription
+    if (fired) return () => {};
+
+    release = this.track(unsubscribe);
+    return release;
+  }
+
+  /**
+   * Emit an event on the underlying bus
+   * @param {string} event - Event name
+   * @param {*} data - Event payload
+   */
+  emit(event, data) {
+    this.bus.emit(event, data);
+  }
+
+  /**
+   * Emit an event on the underlying bus and await its handlers
+   * @param {string} event - Event name
+   * @param {*} data - Event payload
+   * @returns {Promise<{results: Array, errors: Array<Error>}>} See EventBus.emitAsync()
+   */
+  emitAsync(event, data) {
+    return this.bus.emitAsync(event, data);
+  }
+
+  /**
+   * Remember an unsubscribe function so dispose() can call it
+   * @param {Function} unsubscribe - Unsubscribe function
+   * @returns {Function} Unsubscribe function that also forgets the subscription
+   */
+  track(unsubscribe) {
+    this.subscriptions.add(unsubscribe);
+
+    return () => {
+      unsubscribe();
+      this.subscriptions.delete(unsubscribe);
+    };
+  }
+
+  /**
+   * Number of subscriptions registered through this scope
+   * @returns {number} Subscription count
+   */
+  get size() {
+    return this.subscriptions.size;
   }
 
   /**
-   * Get list of all registered events
-   * @returns {Array<string>} Array of event names
+   * Remove every subscription registered through this scope
    */
-  getEvents() {
-    return Array.from(this.events.keys());
+  dispose() {
+    this.subscriptions.forEach(unsubscribe => unsubscribe());
+    this.subscriptions.clear();
+    this.bus.scopes.delete(this);
   }
 }
 
 // Create and export global event bus instance
-window.eventBus = new EventBus();
\ No newline at end of file
+window.eventBus = new EventBus();
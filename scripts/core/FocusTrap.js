@@ -0,0 +1,69 @@
+/**
+ * FocusTrap - Keep Tab / Shift+Tab inside an open modal dialog
+ *
+ * Tab on the last focusable element wraps to the first one and Shift+Tab on
+ * the first (or on the dialog itself) wraps to the last; focus that has left
+ * the dialog is brought back. Elements are looked up on every key press, so
+ * dialogs that re-render their content need no bookkeeping.
+ *
+ *   this.lifecycle.listen(document, 'keydown', (e) => {
+ *     if (this.isOpen) FocusTrap.handleKeydown(e, dialog);
+ *   });
+ */
+class FocusTrap {
+  /**
+   * Elements reachable with Tab
+   */
+  static get focusableSelector() {
+    return [
+      'a[href]',
+      'button:not([disabled])',
+      'input:not([disabled]):not([type="hidden"])',
+      'select:not([disabled])',
+      'textarea:not([disabled])',
+      '[tabindex]:not([tabindex="-1"])'
+    ].join(', ');
+  }
+
+  /**
+   * @param {Element} container - Dialog element
+   * @returns {Array<Element>} Focusable elements in tab order (document order)
+   */
+  static getFocusable(container) {
+    return Array.from(container.querySelectorAll(FocusTrap.focusableSelector))
+      .filter(element => !element.closest('[hidden]'));
+  }
+
+  /**
+   * Wrap Tab / Shift+Tab at the edges of the container
+   * @param {KeyboardEvent} event - keydown event
+   * @param {Element} container - Dialog element (focusable itself with tabindex="-1")
+   */
+  static handleKeydown(event, container) {
+    if (event.key !== 'Tab' || event.altKey || event.ctrlKey || event.metaKey) return;
+
+    const focusable = FocusTrap.getFocusable(container);
+    const active = document.activeElement;
+    const inside = container.contains(active);
+
+    if (focusable.length === 0) {
+      event.preventDefault();
+      container.focus();
+      return;
+    }
+
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+
+    if (event.shiftKey && (!inside || active === first || active === container)) {
+      event.preventDefault();
+      last.focus();
+    } else if (!event.shiftKey && (!inside || active === last)) {
+      event.preventDefault();
+      first.focus();
+    }
+  }
+}
+
+// Export for the dialogs (SearchManager, ShortcutHelpManager, ProjectDetailManager)
+window.FocusTrap = FocusTrap;
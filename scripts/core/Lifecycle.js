@@ -0,0 +1,185 @@
+/**
+ * Lifecycle - Tracks everything a manager registers so destroy() can release it
+ *
+ * Each manager owns one Lifecycle and registers through it instead of calling
+ * addEventListener / setTimeout / eventBus.on / stateManager.subscribe directly:
+ * - on/once: EventBus subscriptions (grouped in eventBus.scope(name))
+ * - listen: DOM event listeners
+ * - subscribe/select: StateManager subscriptions
+ * - timeout/interval: timers
+ * - observe: Intersection/Mutation/Resize observers
+ * - add: any other cleanup function
+ *
+ * Every method returns a release function. dispose() releases everything still
+ * registered; registrations made after dispose() are released immediately, so a
+ * slow async init() finishing after destroy() cannot leak.
+ */
+class Lifecycle {
+  /**
+   * @param {string} name - Owner name (EventBus scope name)
+   * @param {Object} [deps] - Core systems (defaults to the globals)
+   */
+  constructor(name, { eventBus = window.eventBus, stateManager = window.stateManager } = {}) {
+    this.name = name;
+    this.eventBus = eventBus;
+    this.stateManager = stateManager;
+    this.events = eventBus.scope(name);
+    this.cleanups = new Map();   // kind -> Set of cleanup functions
+    this.isDisposed = false;
+  }
+
+  /**
+   * Register a cleanup function
+   * @param {string} kind - Resource kind (shown in counts())
+   * @param {Function} cleanup - Releases the resource
+   * @returns {Function} Release function (runs cleanup once)
+   */
+  add(kind, cleanup) {
+    if (this.isDisposed) {
+      cleanup();
+      return () => {};
+    }
+
+    if (!this.cleanups.has(kind)) {
+      this.cleanups.set(kind, new Set());
+    }
+    const cleanups = this.cleanups.get(kind);
+    cleanups.add(cleanup);
+
+    return () => {
+      if (cleanups.delete(cleanup)) cleanup();
+    };
+  }
+
+  /**
+   * Subscribe to an EventBus event
+   * @param {string} event - Event name or wildcard pattern
+   * @param {Function} callback - Callback function
+   * @param {Object} [options] - Subscription options (see EventBus.on())
+   * @returns {Function} Unsubscribe function
+   */
+  on(event, callback, options) {
+    if (this.isDisposed) return () => {};
+    return this.events.on(event, callback, options);
+  }
+
+  /**
+   * Subscribe to an EventBus event once
+   * @param {string} event - Event name or wildcard pattern
+   * @param {Function} callback - Callback function
+   * @param {Object} [options] - Subscription options (see EventBus.on())
+   * @returns {Function} Unsubscribe function
+   */
+  once(event, callback, options) {
+    if (this.isDisposed) return () => {};
+    return this.events.once(event, callback, options);
+  }
+
+  /**
+   * Add a DOM event listener
+   * @param {EventTarget} target - Element, document or window
+   * @param {string} type - Event type
+   * @param {Function} handler - Event handler
+   * @param {Object|boolean} [options] - addEventListener options
+   * @returns {Function} Function removing the listener
+   */
+  listen(target, type, handler, options) {
+    if (!target) return () => {};
+
+    target.addEventListener(type, handler, options);
+    return this.add('dom', () => target.removeEventListener(type, handler, options));
+  }
+
+  /**
+   * Subscribe to a StateManager path (see StateManager.subscribe())
+   * @param {string|Function} key - State path or selector function
+   * @param {Function} callback - Callback function (value, oldValue, { source })
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(key, callback) {
+    return this.add('state', this.stateManager.subscribe(key, callback));
+  }
+
+  /**
+   * Subscribe to a derived state value (see StateManager.select())
+   * @param {Function} selector - Function (state) => derived value
+   * @param {Function} callback - Callback function (value, oldValue)
+   * @param {Object} [options] - Selector options
+   * @returns {Function} Unsubscribe function
+   */
+  select(selector, callback, options) {
+    return this.add('state', this.stateManager.select(selector, callback, options));
+  }
+
+  /**
+   * setTimeout released on dispose
+   * @param {Function} callback - Function to run
+   * @param {number} ms - Delay in milliseconds
+   * @returns {Function} Function cancelling the timer
+   */
+  timeout(callback, ms) {
+    const id = setTimeout(() => {
+      release();
+      callback();
+    }, ms);
+    const release = this.add('timers', () => clearTimeout(id));
+    return release;
+  }
+
+  /**
+   * setInterval released on dispose
+   * @param {Function} callback - Function to run
+   * @param {number} ms - Interval in milliseconds
+   * @returns {Function} Function cancelling the timer
+   */
+  interval(callback, ms) {
+    const id = setInterval(callback, ms);
+    return this.add('timers', () => clearInterval(id));
+  }
+
+  /**
+   * Disconnect an observer on dispose
+   * @param {IntersectionObserver|MutationObserver|ResizeObserver} observer - Observer
+   * @returns {Object} The observer (for chaining observe() calls)
+   */
+  observe(observer) {
+    this.add('observers', () => observer.disconnect());
+    return observer;
+  }
+
+  /**
+   * Number of live registrations per kind
+   * (kinds whose registrations were all released, e.g. fired timers, are left out)
+   * @returns {Object<string, number>} Counts, e.g. { events: 3, dom: 2, state: 1 }
+   */
+  counts() {
+    const counts = { events: this.events.size };
+    this.cleanups.forEach((cleanups, kind) => {
+      if (cleanups.size > 0) counts[kind] = cleanups.size;
+    });
+    return counts;
+  }
+
+  /**
+   * Release every registration
+   */
+  dispose() {
+    if (this.isDisposed) return;
+    this.isDisposed = true;
+
+    this.events.dispose();
+    this.cleanups.forEach(cleanups => {
+      cleanups.forEach(cleanup => {
+        try {
+          cleanup();
+        } catch (error) {
+          console.error(`Error while disposing ${this.name}:`, error);
+        }
+      });
+      cleanups.clear();
+    });
+  }
+}
+
+// Export for managers and plugins
+window.Lifecycle = Lifecycle;
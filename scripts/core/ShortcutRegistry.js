@@ -0,0 +1,400 @@
+/**
+ * ShortcutRegistry - Keyboard shortcuts registered by the app and its managers
+ *
+ * Bindings have an id, one or more key combos, a description and a scope:
+ *   shortcutRegistry.register('theme.toggle', {
+ *     keys: 'Mod+Shift+T',              // Mod = Cmd on macOS, Ctrl elsewhere
+ *     descriptionKey: 'shortcuts.actions.themeToggle',
+ *     description: 'Toggle theme',
+ *     handler: () => this.toggleTheme() // or event: 'theme:toggle'
+ *   });
+ *
+ * Scopes: 'global' bindings are active unless an exclusive scope is pushed
+ * (e.g. a dialog pushes its own scope with pushScope('help', { exclusive: true })).
+ * Bindings of the innermost active scope win.
+ *
+ * Conflicts (same combo twice in one scope) are reported on register() and
+ * refused by remap(). User remaps are stored in the `shortcutBindings` state
+ * key (id -> combos), which is persisted and synced across tabs.
+ */
+class ShortcutRegistry {
+  /**
+   * @param {EventBus} eventBus - Event bus (event bindings, notifications)
+   * @param {StateManager} stateManager - State manager (persisted remaps)
+   */
+  constructor(eventBus, stateManager) {
+    this.eventBus = eventBus;
+    this.stateManager = stateManager;
+
+    this.bindings = new Map();       // id -> binding
+    this.scopeStack = [];            // [{ name, exclusive }], innermost last
+    this.isMac = /Mac|iPhone|iPad/.test(window.navigator?.platform || '');
+
+    // User remaps: id -> array of combos
+    this.stateManager.defineSchema('shortcutBindings', {
+      type: 'object',
+      default: () => ({}),
+      validate: (bindings) => Object.values(bindings).every(keys =>
+        Array.isArray(keys) && keys.every(combo => typeof combo === 'string')
+      ) || 'expected arrays of key combos'
+    });
+    if (this.stateManager.getState('shortcutBindings') === undefined) {
+      this.stateManager.setState('shortcutBindings', {}, { source: 'default', record: false });
+    }
+    this.stateManager.persist('shortcutBindings', { key: 'portfolio-shortcuts', sync: true });
+  }
+
+  /**
+   * Register a shortcut
+   * @param {string} id - Unique binding id (e.g. 'theme.toggle')
+   * @param {Object} options - Binding options
+   * @param {string|Array<string>} options.keys - Default combo(s), e.g. 'Mod+K', 'Escape', '?'
+   * @param {Function} [options.handler] - Called with the KeyboardEvent
+   * @param {string} [options.event] - EventBus event emitted instead of a handler
+   * @param {*} [options.data] - Payload for options.event
+   * @param {string} [options.description] - Description (fallback text)
+   * @param {string} [options.descriptionKey] - Translation key of the description
+   * @param {string} [options.scope='global'] - Scope the binding belongs to
+   * @param {boolean} [options.allowInInputs=false] - Also trigger while typing in a form field
+   * @param {boolean} [options.preventDefault=true] - Prevent the browser default action
+   * @returns {Function} Function removing the binding
+   */
+  register(id, options) {
+    if (this.bindings.has(id)) {
+      throw new Error(`Shortcut '${id}' is already registered`);
+    }
+    if (typeof options.handler !== 'function' && !options.event) {
+      throw new TypeError(`Shortcut '${id}' needs a handler or an event`);
+    }
+
+    const binding = {
+      scope: 'global',
+      allowInInputs: false,
+      preventDefault: true,
+      ...options,
+      id,
+      defaultKeys: this.normalizeKeys(options.keys)
+    };
+    this.bindings.set(id, binding);
+
+    const conflicts = this.findConflicts(id, this.getKeys(id), binding.scope);
+    if (conflicts.length > 0) {
+      console.warn(`Shortcut '${id}' conflicts with:`, conflicts);
+      this.eventBus.emit('shortcut:conflict', { id, conflicts });
+    }
+
+    return () => this.unregister(id);
+  }
+
+  /**
+   * Remove a shortcut (its persisted remap is kept)
+   * @param {string} id - Binding id
+   * @returns {boolean} True if the binding existed
+   */
+  unregister(id) {
+    return this.bindings.delete(id);
+  }
+
+  /**
+   * Effective combos of a binding (user remap or default)
+   * @param {string} id - Binding id
+   * @returns {Array<string>} Normalized combos
+   */
+  getKeys(id) {
+    const binding = this.bindings.get(id);
+    if (!binding) return [];
+
+    // Ids contain dots, so look them up on the object instead of as a state path
+    const remapped = (this.stateManager.getState('shortcutBindings') || {})[id];
+    return remapped ? this.normalizeKeys(remapped) : binding.defaultKeys;
+  }
+
+  /**
+   * Find other bindings of the same scope using any of the given combos
+   * @param {string} id - Binding being checked (ignored in the results)
+   * @param {Array<string>} keys - Normalized combos
+   * @param {string} scope - Scope name
+   * @returns {Array<{combo: string, id: string}>} Conflicting bindings
+   */
+  findConflicts(id, keys, scope) {
+    const conflicts = [];
+
+    this.bindings.forEach((other, otherId) => {
+      if (otherId === id || other.scope !== scope) return;
+
+      this.getKeys(otherId).forEach(combo => {
+        if (keys.includes(combo)) {
+          conflicts.push({ combo, id: otherId });
+        }
+      });
+    });
+
+    return conflicts;
+  }
+
+  /**
+   * Conflicts between all registered bindings
+   * @returns {Array<{combo: string, scope: string, ids: Array<string>}>} Conflicts
+   */
+  getConflicts() {
+    const byCombo = new Map();   // 'scope|combo' -> ids
+
+    this.bindings.forEach((binding, id) => {
+      this.getKeys(id).forEach(combo => {
+        const key = `${binding.scope}|${combo}`;
+        byCombo.set(key, [...(byCombo.get(key) || []), id]);
+      });
+    });
+
+    return Array.from(byCombo.entries())
+      .filter(([, ids]) => ids.length > 1)
+      .map(([key, ids]) => {
+        const [scope, combo] = key.split('|');
+        return { combo, scope, ids };
+      });
+  }
+
+  /**
+   * Change the keys of a binding; refused when another binding of the scope uses them
+   * @param {string} id - Binding id
+   * @param {string|Array<string>} keys - New combo(s)
+   * @returns {{ok: boolean, conflicts: Array}} Result
+   */
+  remap(id, keys) {
+    const binding = this.bindings.get(id);
+    if (!binding) {
+      throw new Error(`Unknown shortcut '${id}'`);
+    }
+
+    const normalized = this.normalizeKeys(keys);
+    const conflicts = this.findConflicts(id, normalized, binding.scope);
+    if (conflicts.length > 0) {
+      return { ok: false, conflicts };
+    }
+
+    const isDefault = normalized.join() === binding.defaultKeys.join();
+    this.setRemap(id, isDefault ? null : normalized);
+    return { ok: true, conflicts: [] };
+  }
+
+  /**
+   * Restore the default keys of a binding
+   * @param {string} id - Binding id
+   */
+  resetBinding(id) {
+    this.setRemap(id, null);
+  }
+
+  /**
+   * Restore the default keys of every binding
+   */
+  resetAll() {
+    this.stateManager.setState('shortcutBindings', {});
+    this.eventBus.emit('shortcut:remapped', { id: null, keys: null });
+  }
+
+  /**
+   * Store or remove a user remap
+   * @param {string} id - Binding id
+   * @param {Array<string>|null} keys - Normalized combos, or null to remove
+   */
+  setRemap(id, keys) {
+    const remaps = { ...this.stateManager.getState('shortcutBindings') };
+    delete remaps[id];
+    this.stateManager.setState('shortcutBindings', keys ? { ...remaps, [id]: keys } : remaps);
+    this.eventBus.emit('shortcut:remapped', { id, keys: this.getKeys(id) });
+  }
+
+  /**
+   * Activate a scope on top of the current ones
+   * @param {string} name - Scope name
+   * @param {Object} [options] - Scope options
+   * @param {boolean} [options.exclusive=false] - Disable the scopes below (including global)
+   * @returns {Function} Function deactivating the scope
+   */
+  pushScope(name, { exclusive = false } = {}) {
+    const entry = { name, exclusive };
+    this.scopeStack.push(entry);
+
+    return () => {
+      const index = this.scopeStack.indexOf(entry);
+      if (index > -1) this.scopeStack.splice(index, 1);
+    };
+  }
+
+  /**
+   * Active scope names, innermost first
+   * @returns {Array<string>} Scope names
+   */
+  getActiveScopes() {
+    const scopes = [];
+
+    for (let i = this.scopeStack.length - 1; i >= 0; i--) {
+      scopes.push(this.scopeStack[i].name);
+      if (this.scopeStack[i].exclusive) return scopes;
+    }
+
+    return [...scopes, 'global'];
+  }
+
+  /**
+   * Run the binding matching a keydown event
+   * @param {KeyboardEvent} event - Keyboard event
+   * @returns {boolean} True if a shortcut handled the event
+   */
+  handleKeydown(event) {
+    // IME composition (e.g. typing Hangul) and already handled events are ignored
+    if (event.defaultPrevented || event.isComposing) return false;
+
+    const combo = this.eventToCombo(event);
+    if (!combo) return false;
+
+    const isEditing = this.isEditable(event.target);
+
+    for (const scope of this.getActiveScopes()) {
+      for (const [id, binding] of this.bindings) {
+        if (binding.scope !== scope || !this.getKeys(id).includes(combo)) continue;
+        if (isEditing && !binding.allowInInputs) continue;
+
+        if (binding.preventDefault) {
+          event.preventDefault();
+        }
+
+        if (typeof binding.handler === 'function') {
+          binding.handler(event);
+        } else {
+          this.eventBus.emit(binding.event, binding.data);
+        }
+
+        this.eventBus.emit('shortcut:triggered', { id, combo });
+        return true;
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * Combo of a keyboard event, or null for a lone modifier key
+   * @param {KeyboardEvent} event - Keyboard event
+   * @returns {string|null} Normalized combo (e.g. 'ctrl+shift+t')
+   */
+  eventToCombo(event) {
+    const key = this.normalizeKeyName(event.key || '');
+    if (!key || ['control', 'shift', 'alt', 'meta'].includes(key)) return null;
+
+    // Shift is part of symbols like '?' already, so it only counts for letters and named keys
+    const isSymbol = key.length === 1 && key.toLowerCase() === key.toUpperCase();
+
+    return this.formatParts({
+      ctrl: event.ctrlKey,
+      alt: event.altKey,
+      shift: event.shiftKey && !isSymbol,
+      meta: event.metaKey,
+      key
+    });
+  }
+
+  /**
+   * Normalize combos: 'Mod+Shift+T' -> 'ctrl+shift+t' (or 'shift+meta+t' on macOS)
+   * @param {string|Array<string>} keys - Combo(s)
+   * @returns {Array<string>} Normalized combos
+   */
+  normalizeKeys(keys) {
+    return (Array.isArray(keys) ? keys : [keys]).map(combo => this.normalizeCombo(combo));
+  }
+
+  /**
+   * Normalize a single combo
+   * @param {string} combo - Combo such as 'Ctrl+K', 'Escape', '?' or 'Ctrl++'
+   * @returns {string} Normalized combo
+   */
+  normalizeCombo(combo) {
+    const parts = String(combo).split(/\+(?!$)/).map(part => part.trim().toLowerCase());
+    const key = this.normalizeKeyName(parts.pop());
+    const modifiers = new Set(parts.map(part => ({ mod: this.isMac ? 'meta' : 'ctrl', cmd: 'meta', control: 'ctrl', option: 'alt' }[part] || part)));
+
+    return this.formatParts({
+      ctrl: modifiers.has('ctrl'),
+      alt: modifiers.has('alt'),
+      shift: modifiers.has('shift'),
+      meta: modifiers.has('meta'),
+      key
+    });
+  }
+
+  /**
+   * Canonical key names (event.key values lowercased, with a few aliases)
+   * @param {string} key - Key name
+   * @returns {string} Normalized key name
+   */
+  normalizeKeyName(key) {
+    const lower = key === ' ' ? 'space' : key.toLowerCase();
+    return { esc: 'escape', up: 'arrowup', down: 'arrowdown', left: 'arrowleft', right: 'arrowright' }[lower] || lower;
+  }
+
+  /**
+   * Build a combo string in canonical modifier order
+   * @param {Object} parts - { ctrl, alt, shift, meta, key }
+   * @returns {string} Combo
+   */
+  formatParts({ ctrl, alt, shift, meta, key }) {
+    return [ctrl && 'ctrl', alt && 'alt', shift && 'shift', meta && 'meta', key].filter(Boolean).join('+');
+  }
+
+  /**
+   * Human-readable combo for help screens (e.g. 'Ctrl + Shift + T', '⌘ ⇧ T')
+   * @param {string} combo - Normalized combo
+   * @returns {string} Label
+   */
+  formatCombo(combo) {
+    const labels = this.isMac
+      ? { ctrl: '⌃', alt: '⌥', shift: '⇧', meta: '⌘' }
+      : { ctrl: 'Ctrl', alt: 'Alt', shift: 'Shift', meta: 'Meta' };
+    const keyLabels = {
+      escape: 'Esc', space: 'Space', enter: 'Enter', tab: 'Tab',
+      arrowup: '↑', arrowdown: '↓', arrowleft: '←', arrowright: '→'
+    };
+
+    return combo.split(/\+(?!$)/).map(part =>
+      labels[part] || keyLabels[part] || (part.length === 1 ? part.toUpperCase() : part[0].toUpperCase() + part.slice(1))
+    ).join(this.isMac ? ' ' : ' + ');
+  }
+
+  /**
+   * Check whether keys typed into the element are text input
+   * @param {EventTarget} target - Event target
+   * @returns {boolean} True for form fields and contenteditable elements
+   */
+  isEditable(target) {
+    if (!target || !target.tagName) return false;
+    return ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName) || target.isContentEditable === true;
+  }
+
+  /**
+   * List bindings for help screens
+   * @param {Object} [options] - Filter options
+   * @param {Array<string>} [options.scopes] - Only include these scopes (default: all)
+   * @returns {Array<Object>} { id, scope, keys, labels, defaultKeys, isCustom, description, descriptionKey }
+   */
+  getBindings({ scopes } = {}) {
+    return Array.from(this.bindings.values())
+      .filter(binding => !scopes || scopes.includes(binding.scope))
+      .map(({ id, scope, defaultKeys, description, descriptionKey }) => {
+        const keys = this.getKeys(id);
+        return {
+          id,
+          scope,
+          keys,
+          labels: keys.map(combo => this.formatCombo(combo)),
+          defaultKeys,
+          isCustom: keys.join() !== defaultKeys.join(),
+          description,
+          descriptionKey
+        };
+      });
+  }
+}
+
+// Create and export global shortcut registry instance
+window.shortcutRegistry = new ShortcutRegistry(window.eventBus, window.stateManager);
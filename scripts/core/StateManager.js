@@ -1,19 +1,71 @@
 /**
  * StateManager - Central state management
  * Manages global application state with reactive updates
+ *
+ * Keys may be dot paths into nested state (e.g. 'translations.hero',
+ * 'blog.posts'). Updates are copy-on-write, so every object along a changed
+ * path is replaced and untouched branches keep their identity.
+ *
+ * Top-level keys can be persisted declaratively with persist(); values are
+ * stored as versioned JSON envelopes through a storage adapter (see
+ * StorageAdapters.js) and upgraded with per-version migrations on load.
+ * Keys persisted with `sync: true` are kept in sync across browser tabs:
+ * remote changes go through setState() with `source: 'remote'` and are
+ * neither persisted nor re-broadcast, so tabs never echo each other.
+ *
+ * Every change is recorded in a bounded history (key, value, old value,
+ * timestamp, source and the EventBus event that caused it), which supports
+ * undo()/redo(), jumpTo() and JSON export/import for reproducing bugs.
+ *
+ * Keys can declare a schema with defineSchema() (type, enum, validator,
+ * default). Writes that fail validation are rejected and reported with a
+ * `state:invalid` event; defaults for reset() come from the same schemas.
+ * setDefault() changes a default at runtime (e.g. from config.json).
  */
 class StateManager {
   constructor() {
-    this.state = {
-      theme: 'light',
-      language: 'ko', // 기본값을 한국어로 통일
-      isNavOpen: false,
-      isTypingAnimationComplete: false,
-      translations: {}
-    };
+    this.eventBus = window.eventBus;
+    
+    // Schemas: state key -> { type, enum, validate, default }
+    this.schemas = new Map();
+    // 'auto' (follows the system) or a theme name; ThemeRegistry narrows both to registered themes
+    this.defineSchema('theme', { type: 'string', default: 'auto' });
+    this.defineSchema('resolvedTheme', { type: 'string', default: 'light' }); // theme actually applied
+    this.defineSchema('highContrast', { type: 'boolean', default: false }); // prefers-contrast: more
+    this.defineSchema('themePaint', { type: 'object', nullable: true, default: null }); // { theme, scheme, css } for the first-paint bootstrap
+    this.defineSchema('language', { type: 'string', enum: ['ko', 'en'], default: 'ko' }); // 기본값을 한국어로 통일
+    this.defineSchema('isNavOpen', { type: 'boolean', default: false });
+    this.defineSchema('activeSection', { type: 'string', nullable: true, default: null }); // '#about' (scroll spy)
+    this.defineSchema('sectionProgress', { type: 'object', default: () => ({}) }); // '#about' -> 0..1 read, in NavManager.progressStep steps
+    this.defineSchema('isTypingAnimationComplete', { type: 'boolean', default: false });
+    this.defineSchema('translations', { type: 'object', default: () => ({}) });
+    this.defineSchema('appReady', { type: 'boolean', default: false });
+    
+    this.state = this.getDefaults();
     
     this.subscribers = new Map();
-    this.eventBus = window.eventBus;
+    this.selectors = new Set();
+    
+    // Batching
+    this.batchDepth = 0;
+    this.batchBaseState = null;      // state before the outermost batch() started
+    this.pendingChanges = new Map(); // path -> value before the batch
+    
+    // Persistence: state key -> normalized config (see persist())
+    this.persistence = new Map([
+      ['theme', this.createPersistenceConfig('theme', { key: 'portfolio-theme', sync: true })],
+      ['themePaint', this.createPersistenceConfig('themePaint', { key: 'portfolio-theme-paint' })],
+      ['language', this.createPersistenceConfig('language', { key: 'portfolio-lang', sync: true })]
+    ]);
+    
+    // Cross-tab sync
+    this.syncChannel = null;
+    
+    // Change history (time travel)
+    this.history = [];
+    this.historyCursor = 0;          // number of history entries currently applied
+    this.historyLimit = 200;
+    this.historySequence = 0;
     
     this.init();
   }
@@ -24,22 +76,335 @@ class StateManager {
     
     // Set up event bus listeners
     this.setupEventListeners();
+    
+    // Listen for changes made in other tabs
+    this.setupCrossTabSync();
   }
 
   /**
-   * Load state from localStorage
+   * Load every configured key from its storage
    */
   loadPersistedState() {
-    const savedTheme = localStorage.getItem('portfolio-theme');
-    const savedLang = localStorage.getItem('portfolio-lang');
+    this.persistence.forEach((config, key) => {
+      const stored = this.readPersisted(key);
+      if (!stored.found) return;
+      
+      const { valid, reason } = this.validate(key, stored.value);
+      if (valid) {
+        this.state[key] = stored.value;
+      } else {
+        console.warn(`Ignoring persisted '${key}': ${reason}`);
+      }
+    });
+  }
+
+  /**
+   * Register (or replace) the schema for a state key or dot path
+   * @param {string} key - State key or dot path
+   * @param {Object} schema - Schema definition
+   * @param {string} [schema.type] - 'string', 'number', 'boolean', 'object', 'array' or 'function'
+   * @param {Array} [schema.enum] - Allowed values
+   * @param {Function} [schema.validate] - fn(value) returning true, or false / an error message
+   * @param {boolean} [schema.nullable=false] - Also accept null
+   * @param {*|Function} [schema.default] - Default value (functions are called for fresh objects)
+   */
+  defineSchema(key, schema) {
+    this.schemas.set(key, { nullable: false, ...schema });
+  }
+
+  /**
+   * Replace the default of a key at runtime (e.g. from the app config)
+   * The current value follows the new default unless a persisted value was
+   * restored for the key. The change is neither persisted nor recorded.
+   * @param {string} key - State key or dot path
+   * @param {*} value - New default value
+   * @returns {boolean} True if the current value was changed
+   */
+  setDefault(key, value) {
+    this.defineSchema(key, { ...this.schemas.get(key), default: value });
+    
+    const rootKey = this.splitPath(key)[0];
+    if (this.persistence.has(rootKey) && this.readPersisted(rootKey).found) return false;
+    if (this.isSameValue(this.getState(key), value)) return false;
+    
+    return this.setState(key, value, { source: 'default', record: false });
+  }
+
+  /**
+   * Get the default value declared by a key's schema
+   * @param {string} key - State key or dot path
+   * @returns {*} Default value, or undefined without schema/default
+   */
+  getDefault(key) {
+    const schema = this.schemas.get(key);
+    if (!schema) return undefined;
+    
+    return typeof schema.default === 'function' ? schema.default() : schema.default;
+  }
+
+  /**
+   * Build the default state from all schemas
+   * @returns {Object} Default state
+   */
+  getDefaults() {
+    let defaults = {};
+    
+    this.schemas.forEach((schema, key) => {
+      if ('default' in schema) {
+        defaults = this.setIn(defaults, this.splitPath(key), this.getDefault(key));
+      }
+    });
+    
+    return defaults;
+  }
+
+  /**
+   * Validate a value against the schema registered for a key
+   * @param {string} key - State key or dot path
+   * @param {*} value - Value to check
+   * @returns {{valid: boolean, reason?: string}} Validation result
+   */
+  validate(key, value) {
+    const schema = this.schemas.get(key);
+    if (!schema) return { valid: true };
+    
+    if (value === null && schema.nullable) return { valid: true };
+    
+    if (schema.type) {
+      const actualType = Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value;
+      if (actualType !== schema.type) {
+        return { valid: false, reason: `expected ${schema.type}, got ${actualType}` };
+      }
+    }
+    
+    if (schema.enum && !schema.enum.includes(value)) {
+      return { valid: false, reason: `expected one of ${schema.enum.join(', ')}` };
+    }
+    
+    if (typeof schema.validate === 'function') {
+      let result;
+      try {
+        result = schema.validate(value);
+      } catch (error) {
+        result = error.message;
+      }
+      
+      if (result !== true && result !== undefined) {
+        return { valid: false, reason: typeof result === 'string' ? result : 'rejected by validator' };
+      }
+    }
+    
+    return { valid: true };
+  }
+
+  /**
+   * Validate a pending write against the schemas of the path and its ancestors
+   * @param {string} key - Path being written
+   * @param {Object} nextState - State after the write
+   * @returns {{valid: boolean, key?: string, reason?: string}} Validation result
+   */
+  validateWrite(key, nextState) {
+    const segments = this.splitPath(key);
+    
+    for (let i = segments.length; i > 0; i--) {
+      const schemaKey = segments.slice(0, i).join('.');
+      if (!this.schemas.has(schemaKey)) continue;
+      
+      const result = this.validate(schemaKey, this.getIn(nextState, schemaKey));
+      if (!result.valid) {
+        return { ...result, key: schemaKey };
+      }
+    }
+    
+    return { valid: true };
+  }
+
+  /**
+   * Normalize a persistence config
+   * @param {string} key - State key
+   * @param {Object} options - See persist()
+   * @returns {Object} Normalized config
+   */
+  createPersistenceConfig(key, options = {}) {
+    return {
+      storage: options.storage || 'local',
+      key: options.key || `portfolio-${key}`,
+      version: options.version || 1,
+      migrations: options.migrations || {},
+      sync: options.sync === true
+    };
+  }
+
+  /**
+   * Persist a top-level state key and restore its stored value
+   * Like the initial load, the restore is neither recorded, written back nor broadcast.
+   * @param {string} key - Top-level state key
+   * @param {Object} [options] - Persistence options
+   * @param {string|Object} [options.storage='local'] - 'local', 'session', 'memory', 'cookie' or an adapter with getItem/setItem/removeItem
+   * @param {string} [options.key] - Storage key (default 'portfolio-<key>')
+   * @param {number} [options.version=1] - Current schema version of the stored value
+   * @param {Object<number, Function>} [options.migrations] - Map of version -> fn(value) upgrading from version - 1
+   * @param {boolean} [options.sync=false] - Apply changes made in other tabs
+   * @returns {Function} Function that stops persisting the key
+   */
+  persist(key, options = {}) {
+    this.persistence.set(key, this.createPersistenceConfig(key, options));
     
-    if (savedTheme) {
-      this.state.theme = savedTheme;
+    const stored = this.readPersisted(key);
+    if (stored.found) {
+      this.setState(key, stored.value, { source: 'default', record: false });
     }
     
-    if (savedLang) {
-      this.state.language = savedLang;
+    return () => this.unpersist(key);
+  }
+
+  /**
+   * Stop persisting a key (stored value is left untouched)
+   * @param {string} key - Top-level state key
+   */
+  unpersist(key) {
+    this.persistence.delete(key);
+  }
+
+  /**
+   * Listen for state changes from other tabs
+   * Uses BroadcastChannel when available, otherwise the `storage` event
+   * (which only covers keys persisted to localStorage).
+   */
+  setupCrossTabSync() {
+    if (typeof BroadcastChannel === 'function') {
+      this.syncChannel = new BroadcastChannel('portfolio-state');
+      this.syncChannel.addEventListener('message', ({ data }) => {
+        if (data && typeof data.key === 'string') {
+          this.applyRemoteChange(data.key, data.value);
+        }
+      });
+      return;
     }
+    
+    window.addEventListener('storage', (event) => {
+      if (event.storageArea !== window.localStorage) return;
+      
+      this.persistence.forEach((config, key) => {
+        if (config.key !== event.key || config.storage !== 'local') return;
+        
+        const stored = this.readPersisted(key);
+        this.applyRemoteChange(key, stored.found ? stored.value : undefined);
+      });
+    });
+  }
+
+  /**
+   * Send a persisted change to other tabs
+   * @param {string} key - Top-level state key
+   * @param {*} value - New value
+   */
+  broadcastChange(key, value) {
+    if (!this.syncChannel) return; // storage event fires on its own
+    
+    try {
+      this.syncChannel.postMessage({ key, value });
+    } catch (error) {
+      console.error(`Failed to broadcast state '${key}':`, error);
+    }
+  }
+
+  /**
+   * Apply a change received from another tab
+   * @param {string} key - Top-level state key
+   * @param {*} value - New value
+   */
+  applyRemoteChange(key, value) {
+    if (!this.persistence.get(key)?.sync) return;
+    if (this.isSameValue(this.state[key], value)) return;
+    
+    this.setState(key, value, { source: 'remote' });
+  }
+
+  /**
+   * Compare two (JSON-serializable) state values
+   * @param {*} a - First value
+   * @param {*} b - Second value
+   * @returns {boolean} True if equal
+   */
+  isSameValue(a, b) {
+    if (Object.is(a, b)) return true;
+    
+    try {
+      return JSON.stringify(a) === JSON.stringify(b);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Resolve the storage adapter for a persistence config
+   * @param {Object} config - Persistence config
+   * @returns {Object} Storage adapter
+   */
+  getStorageAdapter(config) {
+    if (config.storage && typeof config.storage.getItem === 'function') {
+      return config.storage;
+    }
+    
+    const adapter = window.storageAdapters?.[config.storage];
+    if (!adapter) {
+      console.warn(`Unknown storage '${config.storage}', using memory storage`);
+      return window.storageAdapters?.memory || { getItem: () => null, setItem() {}, removeItem() {} };
+    }
+    
+    return adapter;
+  }
+
+  /**
+   * Read and migrate a persisted value
+   * Values written before versioning (raw strings like 'dark') are treated as version 0.
+   * @param {string} key - Top-level state key
+   * @returns {{found: boolean, value: *}} Stored value, if any
+   */
+  readPersisted(key) {
+    const config = this.persistence.get(key);
+    if (!config) return { found: false };
+    
+    const adapter = this.getStorageAdapter(config);
+    const raw = adapter.getItem(config.key);
+    if (raw === null || raw === undefined) return { found: false };
+    
+    let parsed;
+    try {
+      parsed = JSON.parse(raw);
+    } catch (error) {
+      parsed = raw;
+    }
+    
+    const isEnvelope = parsed !== null && typeof parsed === 'object' && 'version' in parsed && 'value' in parsed;
+    let version = isEnvelope ? parsed.version : 0;
+    let value = isEnvelope ? parsed.value : parsed;
+    
+    if (version > config.version) {
+      console.warn(`Ignoring persisted '${key}' from newer version ${version}`);
+      return { found: false };
+    }
+    
+    try {
+      while (version < config.version) {
+        version++;
+        const migrate = config.migrations[version];
+        if (typeof migrate === 'function') {
+          value = migrate(value);
+        }
+      }
+    } catch (error) {
+      console.error(`Failed to migrate persisted '${key}', discarding it:`, error);
+      adapter.removeItem(config.key);
+      return { found: false };
+    }
+    
+    if (!isEnvelope || parsed.version !== config.version) {
+      this.persistState(key, value);
+    }
+    
+    return { found: true, value };
   }
 
   /**
@@ -56,41 +421,333 @@ class StateManager {
     });
   }
 
+  /**
+   * Split a dot path into its segments
+   * @param {string} path - Dot path (e.g. 'translations.hero')
+   * @returns {Array<string>} Path segments
+   */
+  splitPath(path) {
+    return String(path).split('.').filter(Boolean);
+  }
+
+  /**
+   * Read a dot path from an object
+   * @param {Object} source - Object to read from
+   * @param {string} path - Dot path
+   * @returns {*} Value at path, or undefined
+   */
+  getIn(source, path) {
+    return this.splitPath(path).reduce(
+      (value, segment) => (value != null && typeof value === 'object' ? value[segment] : undefined),
+      source
+    );
+  }
+
+  /**
+   * Return a copy of an object with a value written at the given path
+   * @param {Object} target - Object to copy
+   * @param {Array<string>} segments - Path segments
+   * @param {*} value - Value to write
+   * @returns {Object} Updated copy
+   */
+  setIn(target, segments, value) {
+    if (segments.length === 0) return value;
+    
+    const [head, ...rest] = segments;
+    const source = target != null && typeof target === 'object' ? target : {};
+    const copy = Array.isArray(source) ? [...source] : { ...source };
+    copy[head] = this.setIn(source[head], rest, value);
+    
+    return copy;
+  }
+
+  /**
+   * Check whether two paths overlap (equal, ancestor or descendant)
+   * @param {string} a - Dot path
+   * @param {string} b - Dot path
+   * @returns {boolean} True if a change to one can affect the other
+   */
+  isRelatedPath(a, b) {
+    return a === b || a.startsWith(`${b}.`) || b.startsWith(`${a}.`);
+  }
+
   /**
    * Get current state value
-   * @param {string} key - State key
+   * @param {string} key - State key or dot path
    * @returns {*} State value
    */
   getState(key) {
-    return key ? this.state[key] : this.state;
+    return key ? this.getIn(this.state, key) : this.state;
   }
 
   /**
    * Set state value and notify subscribers
-   * @param {string} key - State key
+   * @param {string} key - State key or dot path (e.g. 'ui.nav.isOpen')
    * @param {*} value - New value
+   * @param {Object} [options] - Update options
+   * @param {string} [options.source='local'] - Origin of the change ('remote' for other tabs)
+   * @param {boolean} [options.record=true] - Record the change in the history
+   * @returns {boolean} False if the value was rejected by a schema
    */
-  setState(key, value) {
-    const oldValue = this.state[key];
-    this.state[key] = value;
+  setState(key, value, { source = 'local', record = true } = {}) {
+    const previousState = this.state;
+    const nextState = this.setIn(this.state, this.splitPath(key), value);
     
-    // Persist certain state values
-    this.persistState(key, value);
+    const validation = this.validateWrite(key, nextState);
+    if (!validation.valid) {
+      console.warn(`Rejected state '${key}' = ${JSON.stringify(value)}: ${validation.reason}`);
+      this.eventBus.emit('state:invalid', { key, value, schemaKey: validation.key, reason: validation.reason, source });
+      return false;
+    }
+    
+    const oldValue = this.getState(key);
+    this.state = nextState;
+    
+    // Inside batch(): remember the first old value and notify on flush
+    if (this.batchDepth > 0) {
+      const pending = this.pendingChanges.get(key);
+      this.pendingChanges.set(key, { oldValue: pending ? pending.oldValue : oldValue, source, record });
+      return true;
+    }
+    
+    this.commit(previousState, new Map([[key, { oldValue, source, record }]]));
+    return true;
+  }
+
+  /**
+   * Run several updates and notify subscribers once when they are done
+   * Nested batches are flushed by the outermost one. Only synchronous
+   * updates made inside the callback are batched.
+   * @param {Function} fn - Function performing setState() calls
+   * @returns {*} Return value of fn
+   */
+  batch(fn) {
+    if (this.batchDepth === 0) {
+      this.batchBaseState = this.state;
+    }
+    this.batchDepth++;
+    
+    try {
+      return fn();
+    } finally {
+      this.batchDepth--;
+      
+      if (this.batchDepth === 0) {
+        const changes = this.pendingChanges;
+        const previousState = this.batchBaseState;
+        this.pendingChanges = new Map();
+        this.batchBaseState = null;
+        
+        if (changes.size > 0) {
+          this.commit(previousState, changes);
+        }
+      }
+    }
+  }
+
+  /**
+   * Persist and publish a set of changes
+   * @param {Object} previousState - State before the changes
+   * @param {Map<string, {oldValue: *, source: string, record: boolean}>} changes - Changed paths
+   */
+  commit(previousState, changes) {
+    this.recordHistory(changes);
+    
+    // Persist and broadcast local changes (by top-level key)
+    const localRoots = new Set();
+    changes.forEach(({ source }, path) => {
+      if (source !== 'remote' && source !== 'default') localRoots.add(this.splitPath(path)[0]);
+    });
+    
+    localRoots.forEach(rootKey => {
+      this.persistState(rootKey, this.state[rootKey]);
+      
+      if (this.persistence.get(rootKey)?.sync) {
+        this.broadcastChange(rootKey, this.state[rootKey]);
+      }
+    });
     
     // Notify subscribers
-    this.notifySubscribers(key, value, oldValue);
+    this.notifySubscribers(previousState, changes);
+    this.notifySelectors();
+    
+    // Emit event bus events
+    changes.forEach(({ oldValue, source }, key) => {
+      this.eventBus.emit('state:changed', { key, value: this.getState(key), oldValue, source });
+    });
+  }
+
+  /**
+   * Append changes to the history, dropping any redo entries
+   * Changes committed together (one batch) share a group id and are undone together.
+   * @param {Map<string, {oldValue: *, source: string, record: boolean}>} changes - Changed paths
+   */
+  recordHistory(changes) {
+    const group = ++this.historySequence;
+    const event = this.eventBus.getCurrentEvent();
+    const timestamp = Date.now();
+    const entries = [];
+    
+    changes.forEach(({ oldValue, source, record }, key) => {
+      if (record === false) return;
+      entries.push({ key, value: this.getState(key), oldValue, timestamp, source, event, group });
+    });
+    
+    if (entries.length === 0) return;
+    
+    this.history.splice(this.historyCursor);
+    this.history.push(...entries);
+    
+    const overflow = this.history.length - this.historyLimit;
+    if (overflow > 0) {
+      this.history.splice(0, overflow);
+    }
+    this.historyCursor = this.history.length;
+  }
+
+  /**
+   * Apply history entries between the current cursor and a target cursor
+   * Stops at the first entry a schema rejects; the cursor is left right before it
+   * and the entry is reported as `rejected` in `state:timeTravel`.
+   * @param {number} target - Number of entries that should be applied afterwards
+   * @returns {boolean} False if an entry was rejected before the target was reached
+   */
+  travelTo(target) {
+    const cursor = this.historyCursor;
+    if (target === cursor) return true;
+    
+    const step = target < cursor ? -1 : 1;
+    let reached = cursor;
+    let rejected = null;
+    
+    this.batch(() => {
+      while (reached !== target) {
+        const index = step < 0 ? reached - 1 : reached;
+        const { key, value, oldValue } = this.history[index];
+        const applied = step < 0 ? oldValue : value;
+        
+        if (!this.setState(key, applied, { source: 'history', record: false })) {
+          rejected = { index, key, value: applied };
+          break;
+        }
+        reached += step;
+      }
+    });
+    
+    this.historyCursor = reached;
+    this.eventBus.emit('state:timeTravel', { cursor: reached, length: this.history.length, target, rejected });
+    return rejected === null;
+  }
+
+  /**
+   * Undo the last recorded change (or batch of changes)
+   * @returns {boolean} True if it was undone (false if nothing to undo or a value was rejected)
+   */
+  undo() {
+    if (this.historyCursor === 0) return false;
+    
+    const { group } = this.history[this.historyCursor - 1];
+    let target = this.historyCursor - 1;
+    while (target > 0 && this.history[target - 1].group === group) {
+      target--;
+    }
     
-    // Emit event bus event
-    this.eventBus.emit('state:changed', { key, value, oldValue });
+    return this.travelTo(target);
+  }
+
+  /**
+   * Redo the next undone change (or batch of changes)
+   * @returns {boolean} True if it was redone (false if nothing to redo or a value was rejected)
+   */
+  redo() {
+    if (this.historyCursor >= this.history.length) return false;
+    
+    const { group } = this.history[this.historyCursor];
+    let target = this.historyCursor + 1;
+    while (target < this.history.length && this.history[target].group === group) {
+      target++;
+    }
+    
+    return this.travelTo(target);
+  }
+
+  /**
+   * Jump to the state right after a given history entry
+   * @param {number} index - Entry index, or -1 for the state before the first entry
+   * @returns {boolean} False if a value was rejected on the way (see travelTo)
+   */
+  jumpTo(index) {
+    const target = Math.min(Math.max(index + 1, 0), this.history.length);
+    return this.travelTo(target);
+  }
+
+  /**
+   * Get recorded changes and the current position
+   * @returns {{entries: Array<Object>, cursor: number}} History snapshot
+   */
+  getHistory() {
+    return { entries: [...this.history], cursor: this.historyCursor };
+  }
+
+  /**
+   * Forget all recorded changes (state is left as is)
+   */
+  clearHistory() {
+    this.history = [];
+    this.historyCursor = 0;
+  }
+
+  /**
+   * Export the history as JSON
+   * @returns {string} JSON string
+   */
+  exportHistory() {
+    return JSON.stringify({ version: 1, cursor: this.historyCursor, entries: this.history });
+  }
+
+  /**
+   * Import a history exported with exportHistory() and replay it
+   * State is rewound to before the first imported entry, then replayed up to
+   * the exported cursor.
+   * @param {string|Object} json - Exported history
+   * @returns {boolean} True if the history was imported
+   */
+  importHistory(json) {
+    let data;
+    try {
+      data = typeof json === 'string' ? JSON.parse(json) : json;
+    } catch (error) {
+      console.error('Failed to parse state history:', error);
+      return false;
+    }
+    
+    if (!data || !Array.isArray(data.entries) || data.entries.some(entry => typeof entry?.key !== 'string')) {
+      console.error('Invalid state history format');
+      return false;
+    }
+    
+    this.history = data.entries;
+    this.historyCursor = this.history.length;
+    this.historySequence = Math.max(this.historySequence, ...this.history.map(entry => entry.group || 0));
+    
+    this.travelTo(0);
+    this.travelTo(Math.min(Math.max(Number(data.cursor) || 0, 0), this.history.length));
+    return true;
   }
 
   /**
    * Subscribe to state changes
-   * @param {string} key - State key to watch
-   * @param {Function} callback - Callback function
+   * Subscribers of a path are also notified when an ancestor or descendant
+   * path changes, as long as the value at their own path changed.
+   * @param {string|Function} key - State key / dot path to watch, or a selector function
+   * @param {Function} callback - Callback function (value, oldValue, { source })
    * @returns {Function} Unsubscribe function
    */
   subscribe(key, callback) {
+    if (typeof key === 'function') {
+      return this.select(key, callback);
+    }
+    
     if (!this.subscribers.has(key)) {
       this.subscribers.set(key, []);
     }
@@ -122,60 +779,139 @@ class StateManager {
   }
 
   /**
-   * Notify all subscribers of a state change
-   * @param {string} key - State key
-   * @param {*} value - New value
-   * @param {*} oldValue - Previous value
+   * Count registered path subscribers and selectors
+   * @returns {number} Subscription count
    */
-  notifySubscribers(key, value, oldValue) {
-    if (!this.subscribers.has(key)) return;
+  getSubscriberCount() {
+    let count = this.selectors.size;
+    this.subscribers.forEach(callbacks => {
+      count += callbacks.length;
+    });
+    return count;
+  }
+
+  /**
+   * Subscribe to a derived value; the callback fires only when it changes
+   * @param {Function} selector - Function (state) => derived value
+   * @param {Function} callback - Callback function (value, oldValue)
+   * @param {Object} [options] - Selector options
+   * @param {Function} [options.equals=Object.is] - Equality check for derived values
+   * @returns {Function} Unsubscribe function
+   */
+  select(selector, callback, { equals = Object.is } = {}) {
+    const entry = { selector, callback, equals, value: this.runSelector(selector) };
+    this.selectors.add(entry);
     
-    const callbacks = this.subscribers.get(key);
-    callbacks.forEach(callback => {
+    return () => this.selectors.delete(entry);
+  }
+
+  /**
+   * Evaluate a selector against current state, isolating errors
+   * @param {Function} selector - Selector function
+   * @returns {*} Derived value, or undefined on error
+   */
+  runSelector(selector) {
+    try {
+      return selector(this.state);
+    } catch (error) {
+      console.error('Error in state selector:', error);
+      return undefined;
+    }
+  }
+
+  /**
+   * Notify subscribers whose watched path was affected by the changed paths
+   * @param {Object} previousState - State before the changes
+   * @param {Map<string, {source: string}>|Array<string>} changes - Changed paths
+   */
+  notifySubscribers(previousState, changes) {
+    const changeMap = Array.isArray(changes)
+      ? new Map(changes.map(path => [path, { source: 'local' }]))
+      : changes;
+    const paths = Array.from(changeMap.keys());
+    
+    // Copy so that subscribers may unsubscribe while being notified
+    Array.from(this.subscribers.entries()).forEach(([key, callbacks]) => {
+      const isExact = changeMap.has(key);
+      const relatedPath = isExact ? key : paths.find(path => this.isRelatedPath(path, key));
+      if (relatedPath === undefined) return;
+      
+      const value = this.getIn(this.state, key);
+      const oldValue = this.getIn(previousState, key);
+      
+      // Exact subscribers are always notified; related paths only on change
+      if (!isExact && Object.is(value, oldValue)) return;
+      
+      const meta = { source: changeMap.get(relatedPath).source };
+      
+      [...callbacks].forEach(callback => {
+        try {
+          callback(value, oldValue, meta);
+        } catch (error) {
+          console.error(`Error in state subscriber for '${key}':`, error);
+        }
+      });
+    });
+  }
+
+  /**
+   * Re-evaluate selectors and notify those whose derived value changed
+   */
+  notifySelectors() {
+    Array.from(this.selectors).forEach(entry => {
+      const value = this.runSelector(entry.selector);
+      if (entry.equals(value, entry.value)) return;
+      
+      const oldValue = entry.value;
+      entry.value = value;
+      
       try {
-        callback(value, oldValue);
+        entry.callback(value, oldValue);
       } catch (error) {
-        console.error(`Error in state subscriber for '${key}':`, error);
+        console.error('Error in state selector subscriber:', error);
       }
     });
   }
 
   /**
-   * Persist state to localStorage
-   * @param {string} key - State key
+   * Persist state through its configured storage (no-op for keys without config)
+   * @param {string} key - Top-level state key
    * @param {*} value - Value to persist
    */
   persistState(key, value) {
-    switch (key) {
-      case 'theme':
-        localStorage.setItem('portfolio-theme', value);
-        break;
-      case 'language':
-        localStorage.setItem('portfolio-lang', value);
-        break;
+    const config = this.persistence.get(key);
+    if (!config) return;
+    
+    const adapter = this.getStorageAdapter(config);
+    
+    if (value === undefined) {
+      adapter.removeItem(config.key);
+      return;
+    }
+    
+    try {
+      adapter.setItem(config.key, JSON.stringify({ version: config.version, value }));
+    } catch (error) {
+      // e.g. circular structures that JSON cannot serialize
+      console.error(`Failed to persist state '${key}':`, error);
     }
   }
 
   /**
-   * Reset state to defaults
+   * Reset state to the schema defaults
    */
   reset() {
-    this.state = {
-      theme: 'light',
-      language: 'ko', // 기본값을 한국어로 통일
-      isNavOpen: false,
-      isTypingAnimationComplete: false,
-      translations: {}
-    };
+    const previousState = this.state;
+    this.state = this.getDefaults();
     
-    // Clear localStorage
-    localStorage.removeItem('portfolio-theme');
-    localStorage.removeItem('portfolio-lang');
+    // Clear persisted values
+    this.persistence.forEach(config => {
+      this.getStorageAdapter(config).removeItem(config.key);
+    });
     
     // Notify all subscribers
-    Object.keys(this.state).forEach(key => {
-      this.notifySubscribers(key, this.state[key], undefined);
-    });
+    this.notifySubscribers(previousState, Object.keys(this.state));
+    this.notifySelectors();
     
     this.eventBus.emit('state:reset');
   }
@@ -0,0 +1,136 @@
+/**
+ * StorageAdapters - Key/value storage backends used by StateManager persistence
+ * Every adapter exposes getItem/setItem/removeItem with string values and never
+ * throws: when the underlying storage fails (quota exceeded, private mode,
+ * blocked cookies) the value is kept in memory for the rest of the session.
+ */
+
+/**
+ * In-memory storage (lost on reload)
+ */
+class MemoryStorageAdapter {
+  constructor() {
+    this.type = 'memory';
+    this.store = new Map();
+  }
+
+  getItem(key) {
+    return this.store.has(key) ? this.store.get(key) : null;
+  }
+
+  setItem(key, value) {
+    this.store.set(key, String(value));
+  }
+
+  removeItem(key) {
+    this.store.delete(key);
+  }
+}
+
+/**
+ * Base class for adapters backed by a browser storage that may throw
+ */
+class FallbackStorageAdapter {
+  constructor(type) {
+    this.type = type;
+    this.fallback = new MemoryStorageAdapter();
+    this.hasWarned = false;
+  }
+
+  /**
+   * Log the first storage failure only
+   * @param {string} operation - Failed operation
+   * @param {Error} error - Error thrown by the storage
+   */
+  warn(operation, error) {
+    if (this.hasWarned) return;
+    this.hasWarned = true;
+    console.warn(`${this.type} storage unavailable (${operation}), keeping values in memory:`, error);
+  }
+
+  getItem(key) {
+    const fallbackValue = this.fallback.getItem(key);
+    if (fallbackValue !== null) return fallbackValue;
+
+    try {
+      return this.read(key);
+    } catch (error) {
+      this.warn('read', error);
+      return null;
+    }
+  }
+
+  setItem(key, value) {
+    try {
+      this.write(key, String(value));
+      this.fallback.removeItem(key);
+    } catch (error) {
+      this.warn('write', error);
+      this.fallback.setItem(key, value);
+    }
+  }
+
+  removeItem(key) {
+    this.fallback.removeItem(key);
+
+    try {
+      this.remove(key);
+    } catch (error) {
+      this.warn('remove', error);
+    }
+  }
+}
+
+/**
+ * localStorage / sessionStorage (type: 'local' or 'session')
+ */
+class WebStorageAdapter extends FallbackStorageAdapter {
+  // Accessing window.localStorage itself throws when storage is disabled
+  getStorage() {
+    return this.type === 'session' ? window.sessionStorage : window.localStorage;
+  }
+
+  read(key) {
+    return this.getStorage().getItem(key);
+  }
+
+  write(key, value) {
+    this.getStorage().setItem(key, value);
+  }
+
+  remove(key) {
+    this.getStorage().removeItem(key);
+  }
+}
+
+/**
+ * document.cookie (path=/, one year, SameSite=Lax)
+ */
+class CookieStorageAdapter extends FallbackStorageAdapter {
+  constructor({ maxAge = 60 * 60 * 24 * 365 } = {}) {
+    super('cookie');
+    this.maxAge = maxAge;
+  }
+
+  read(key) {
+    const name = `${encodeURIComponent(key)}=`;
+    const cookie = document.cookie.split('; ').find(part => part.startsWith(name));
+    return cookie ? decodeURIComponent(cookie.slice(name.length)) : null;
+  }
+
+  write(key, value) {
+    document.cookie = `${encodeURIComponent(key)}=${encodeURIComponent(value)}; path=/; max-age=${this.maxAge}; SameSite=Lax`;
+  }
+
+  remove(key) {
+    document.cookie = `${encodeURIComponent(key)}=; path=/; max-age=0; SameSite=Lax`;
+  }
+}
+
+// Export shared adapter instances (referenced by name in persistence configs)
+window.storageAdapters = {
+  local: new WebStorageAdapter('local'),
+  session: new WebStorageAdapter('session'),
+  memory: new MemoryStorageAdapter(),
+  cookie: new CookieStorageAdapter()
+};
@@ -0,0 +1,246 @@
+/**
+ * ThemeRegistry - Named color themes defined as CSS custom-property tokens
+ *
+ * A theme has a name, a base color scheme ('light' or 'dark') and the tokens
+ * it overrides on top of the light defaults in styles/theme.css:
+ *   themeRegistry.register('nord', {
+ *     scheme: 'dark',                    // dark-section overrides apply
+ *     label: { ko: '노드', en: 'Nord' },   // or translations.theme.modes.nord
+ *     tokens: { '--bg-color': '#2e3440', '--accent-color': '#88c0d0' }
+ *   });
+ *
+ * ThemeManager injects the tokens as `[data-theme="<name>"] { ... }` rules and
+ * sets data-theme / data-color-scheme on <html>. 'light' and 'dark' are built
+ * in and styled directly in theme.css. The `theme` state accepts a mode or any
+ * registered name; a stored name that is registered later (e.g. by a plugin)
+ * is applied as soon as it is registered.
+ */
+class ThemeRegistry {
+  /**
+   * @param {EventBus} eventBus - Event bus (registration events)
+   * @param {StateManager} stateManager - State manager (theme schemas)
+   */
+  constructor(eventBus, stateManager) {
+    this.eventBus = eventBus;
+    this.stateManager = stateManager;
+
+    this.themes = new Map();         // name -> { name, scheme, tokens, label, builtIn }
+
+    Object.entries(ThemeRegistry.builtIns).forEach(([name, theme]) => {
+      this.register(name, { ...theme, builtIn: true });
+    });
+
+    // Accept any registered name instead of a fixed light/dark list
+    this.stateManager.defineSchema('theme', {
+      type: 'string',
+      default: 'auto',
+      validate: (name) => this.isSelectable(name) || `unknown theme '${name}'`
+    });
+    this.stateManager.defineSchema('resolvedTheme', {
+      type: 'string',
+      default: 'light',
+      validate: (name) => this.has(name) || `unknown theme '${name}'`
+    });
+  }
+
+  /**
+   * `theme` state values that pick a theme instead of naming one
+   * ('auto' follows the system, 'schedule' follows the clock or the sun)
+   */
+  static get modes() {
+    return ['auto', 'schedule'];
+  }
+
+  /**
+   * Themes registered at startup
+   * Light and dark have no tokens here: their variables live in theme.css.
+   */
+  static get builtIns() {
+    return {
+      light: { scheme: 'light', label: { ko: '라이트', en: 'Light' } },
+      dark: { scheme: 'dark', label: { ko: '다크', en: 'Dark' } },
+      'high-contrast': {
+        scheme: 'dark',
+        label: { ko: '고대비', en: 'High contrast' },
+        tokens: {
+          '--bg-color': '#000000',
+          '--text-color': '#000000',
+          '--text-secondary': '#ffffff',
+          '--text-muted': '#ffffff',
+          '--accent-color': '#ffff00',
+          '--card-bg': 'transparent',
+          '--card-border': '#ffffff',
+          '--typing-primary': '#ffffff',
+          '--typing-accent': '#ffff00',
+          '--typing-cursor-primary': '#ffffff',
+          '--typing-cursor-accent': '#ffff00'
+        }
+      },
+      sepia: {
+        scheme: 'light',
+        label: { ko: '세피아', en: 'Sepia' },
+        tokens: {
+          '--bg-color': '#f4ecd8',
+          '--text-color': '#433422',
+          '--text-secondary': '#433422',
+          '--text-muted': '#6b5a45',
+          '--accent-color': '#9c4f1e',
+          '--card-bg': 'rgba(156, 79, 30, 0.06)',
+          '--card-border': 'rgba(156, 79, 30, 0.25)',
+          '--typing-primary': '#433422',
+          '--typing-accent': '#9c4f1e',
+          '--typing-cursor-primary': '#433422',
+          '--typing-cursor-accent': '#9c4f1e'
+        }
+      },
+      solarized: {
+        scheme: 'light',
+        label: { ko: '솔라라이즈드', en: 'Solarized' },
+        tokens: {
+          '--bg-color': '#fdf6e3',
+          '--text-color': '#073642',
+          '--text-secondary': '#586e75',
+          '--text-muted': '#657b83',
+          '--accent-color': '#268bd2',
+          '--card-bg': 'rgba(38, 139, 210, 0.06)',
+          '--card-border': 'rgba(38, 139, 210, 0.25)',
+          '--typing-primary': '#073642',
+          '--typing-accent': '#268bd2',
+          '--typing-cursor-primary': '#073642',
+          '--typing-cursor-accent': '#268bd2'
+        }
+      }
+    };
+  }
+
+  /**
+   * Register a theme
+   * @param {string} name - Theme name (lowercase letters, digits and dashes; not a mode name)
+   * @param {Object} [options] - Theme definition
+   * @param {string} [options.scheme='light'] - Base color scheme ('light' or 'dark')
+   * @param {Object<string, string>} [options.tokens] - Custom properties, e.g. { '--bg-color': '#fdf6e3' }
+   * @param {string|Object<string, string>} [options.label] - Menu label, or labels by language
+   * @returns {Function} Function removing the theme
+   */
+  register(name, { scheme = 'light', tokens = {}, label, builtIn = false } = {}) {
+    if (typeof name !== 'string' || !/^[a-z][a-z0-9-]*$/.test(name) || ThemeRegistry.modes.includes(name)) {
+      throw new TypeError(`Invalid theme name '${name}'`);
+    }
+    if (this.themes.has(name)) {
+      throw new Error(`Theme '${name}' is already registered`);
+    }
+    if (scheme !== 'light' && scheme !== 'dark') {
+      throw new TypeError(`Theme '${name}': scheme must be 'light' or 'dark'`);
+    }
+
+    Object.entries(tokens).forEach(([token, value]) => {
+      if (!/^--[a-zA-Z0-9-]+$/.test(token)) {
+        throw new TypeError(`Theme '${name}': '${token}' is not a custom property`);
+      }
+      if (!['string', 'number'].includes(typeof value) || /[;{}<>]/.test(String(value))) {
+        throw new TypeError(`Theme '${name}': invalid value for ${token}`);
+      }
+    });
+
+    const theme = { name, scheme, tokens: { ...tokens }, label, builtIn };
+    this.themes.set(name, theme);
+    this.eventBus.emit('theme:registered', { name, scheme });
+
+    return () => this.unregister(name);
+  }
+
+  /**
+   * Remove a registered theme (built-in themes cannot be removed)
+   * @param {string} name - Theme name
+   * @returns {boolean} True if the theme was removed
+   */
+  unregister(name) {
+    const theme = this.themes.get(name);
+    if (!theme) return false;
+    if (theme.builtIn) {
+      throw new Error(`Built-in theme '${name}' cannot be unregistered`);
+    }
+
+    this.themes.delete(name);
+    this.eventBus.emit('theme:unregistered', { name });
+    return true;
+  }
+
+  /**
+   * @param {string} name - Theme name
+   * @returns {boolean} True if the theme is registered
+   */
+  has(name) {
+    return this.themes.has(name);
+  }
+
+  /**
+   * @param {string} value - Value of the `theme` state
+   * @returns {boolean} True for modes and registered theme names
+   */
+  isSelectable(value) {
+    return ThemeRegistry.modes.includes(value) || this.has(value);
+  }
+
+  /**
+   * Get a copy of a theme definition
+   * @param {string} name - Theme name
+   * @returns {Object|null} Theme, or null if not registered
+   */
+  get(name) {
+    const theme = this.themes.get(name);
+    return theme ? { ...theme, tokens: { ...theme.tokens } } : null;
+  }
+
+  /**
+   * @returns {Array<Object>} Registered themes in registration order
+   */
+  list() {
+    return [...this.themes.keys()].map(name => this.get(name));
+  }
+
+  /**
+   * Base color scheme of a theme
+   * @param {string} name - Theme name
+   * @returns {string} 'light' or 'dark' ('light' for unknown names)
+   */
+  getScheme(name) {
+    return this.themes.get(name)?.scheme || 'light';
+  }
+
+  /**
+   * Label of a theme in a language (from its definition)
+   * @param {string} name - Theme name
+   * @param {string} lang - Language code
+   * @returns {string|undefined} Label, if the theme defines one
+   */
+  getLabel(name, lang) {
+    const label = this.themes.get(name)?.label;
+    if (label && typeof label === 'object') {
+      return label[lang] ?? label.en ?? Object.values(label)[0];
+    }
+    return label;
+  }
+
+  /**
+   * Generate the CSS rules for the themes with tokens
+   * @param {Array<string>} [names] - Only these themes (all when omitted)
+   * @returns {string} Stylesheet text
+   */
+  toCss(names) {
+    return this.list()
+      .filter(theme => !names || names.includes(theme.name))
+      .filter(theme => Object.keys(theme.tokens).length > 0)
+      .map(theme => {
+        const declarations = Object.entries(theme.tokens)
+          .map(([token, value]) => `  ${token}: ${value};`)
+          .join('\n');
+        return `[data-theme="${theme.name}"] {\n${declarations}\n}`;
+      })
+      .join('\n\n');
+  }
+}
+
+// Export class and global theme registry instance
+window.ThemeRegistry = ThemeRegistry;
+window.themeRegistry = new ThemeRegistry(window.eventBus, window.stateManager);
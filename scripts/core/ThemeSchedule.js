@@ -0,0 +1,135 @@
+/**
+ * ThemeSchedule - When the 'schedule' theme mode is dark
+ *
+ * Two kinds of schedule, chosen by the `themeSchedule` config section:
+ *   - hours: dark from `darkFrom` until `darkUntil` (local "HH:MM", may wrap midnight)
+ *   - sun:   dark from sunset until sunrise at `latitude`/`longitude`, computed
+ *            offline with the NOAA sunrise equation (accurate to about a minute)
+ *
+ *   const schedule = new ThemeSchedule(config.get('themeSchedule'));
+ *   schedule.isDark(new Date());        // true / false
+ *   schedule.getNextChange(new Date()); // Date of the next light/dark switch
+ */
+class ThemeSchedule {
+  /**
+   * @param {Object} [options] - Schedule settings
+   * @param {string} [options.darkFrom='19:00'] - Start of the dark period (local time)
+   * @param {string} [options.darkUntil='07:00'] - End of the dark period (local time)
+   * @param {number|null} [options.latitude] - Degrees north; with longitude, follow the sun instead of hours
+   * @param {number|null} [options.longitude] - Degrees east
+   */
+  constructor({ darkFrom = '19:00', darkUntil = '07:00', latitude = null, longitude = null } = {}) {
+    this.darkFrom = ThemeSchedule.parseTime(darkFrom);
+    this.darkUntil = ThemeSchedule.parseTime(darkUntil);
+    this.latitude = latitude;
+    this.longitude = longitude;
+    this.type = typeof latitude === 'number' && typeof longitude === 'number' ? 'sun' : 'hours';
+  }
+
+  /**
+   * @param {string} time - "HH:MM"
+   * @returns {number} Minutes after midnight
+   */
+  static parseTime(time) {
+    const [hours, minutes] = String(time).split(':').map(Number);
+    return hours * 60 + minutes;
+  }
+
+  /**
+   * Check whether the schedule is dark at a moment
+   * @param {Date} date - Moment to check
+   * @returns {boolean} True during the dark period
+   */
+  isDark(date) {
+    if (this.type === 'sun') {
+      const sun = ThemeSchedule.getSunTimes(date, this.latitude, this.longitude);
+      if (sun.polar) return sun.polar === 'night';
+      return date < sun.sunrise || date >= sun.sunset;
+    }
+
+    const minutes = date.getHours() * 60 + date.getMinutes();
+    if (this.darkFrom === this.darkUntil) return false;
+    return this.darkFrom < this.darkUntil
+      ? minutes >= this.darkFrom && minutes < this.darkUntil
+      : minutes >= this.darkFrom || minutes < this.darkUntil;
+  }
+
+  /**
+   * Next moment the schedule switches between light and dark
+   * Looks up to a week ahead (polar day/night can last longer); when nothing
+   * changes in that time, the following local midnight is returned so the
+   * caller re-evaluates then.
+   * @param {Date} date - Moment to start from
+   * @returns {Date} Next switch (always after date)
+   */
+  getNextChange(date) {
+    for (let offset = 0; offset < 8; offset++) {
+      const day = new Date(date.getFullYear(), date.getMonth(), date.getDate() + offset);
+      const next = this.getChanges(day)
+        .filter(change => change > date)
+        .sort((a, b) => a - b)[0];
+      if (next) return next;
+    }
+
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1);
+  }
+
+  /**
+   * Light/dark switches on a local day
+   * @param {Date} day - Local midnight of the day
+   * @returns {Array<Date>} Switch moments (none during polar day/night)
+   */
+  getChanges(day) {
+    if (this.type === 'sun') {
+      const sun = ThemeSchedule.getSunTimes(day, this.latitude, this.longitude);
+      return sun.polar ? [] : [sun.sunrise, sun.sunset];
+    }
+
+    if (this.darkFrom === this.darkUntil) return [];
+    return [this.darkFrom, this.darkUntil].map(minutes =>
+      new Date(day.getFullYear(), day.getMonth(), day.getDate(), 0, minutes)
+    );
+  }
+
+  /**
+   * Sunrise and sunset for the local day of a date
+   * https://en.wikipedia.org/wiki/Sunrise_equation
+   * @param {Date} date - Any moment of the day
+   * @param {number} latitude - Degrees north
+   * @param {number} longitude - Degrees east
+   * @returns {{sunrise?: Date, sunset?: Date, polar?: string}} Times, or polar: 'day' | 'night'
+   */
+  static getSunTimes(date, latitude, longitude) {
+    const rad = Math.PI / 180;
+    const noon = new Date(date.getFullYear(), date.getMonth(), date.getDate(), 12);
+    const julianDay = noon.getTime() / 86400000 + 2440587.5;
+
+    // Mean solar noon, solar anomaly, equation of center, ecliptic longitude
+    const days = Math.round(julianDay - 2451545 - 0.0009 + longitude / 360);
+    const meanNoon = days + 0.0009 - longitude / 360;
+    const anomaly = (357.5291 + 0.98560028 * meanNoon) % 360;
+    const center = 1.9148 * Math.sin(anomaly * rad) + 0.02 * Math.sin(2 * anomaly * rad) + 0.0003 * Math.sin(3 * anomaly * rad);
+    const eclipticLongitude = (anomaly + center + 180 + 102.9372) % 360;
+    const transit = 2451545 + meanNoon + 0.0053 * Math.sin(anomaly * rad) - 0.0069 * Math.sin(2 * eclipticLongitude * rad);
+
+    // Declination and hour angle (-0.833° accounts for refraction and the solar disc)
+    const sinDeclination = Math.sin(eclipticLongitude * rad) * Math.sin(23.4397 * rad);
+    const cosDeclination = Math.cos(Math.asin(sinDeclination));
+    const cosHourAngle = (Math.sin(-0.833 * rad) - Math.sin(latitude * rad) * sinDeclination) /
+      (Math.cos(latitude * rad) * cosDeclination);
+
+    if (cosHourAngle < -1) return { polar: 'day' };
+    if (cosHourAngle > 1) return { polar: 'night' };
+
+    const hourAngle = Math.acos(cosHourAngle) / rad;
+    const toDate = (julian) => new Date((julian - 2440587.5) * 86400000);
+
+    return {
+      sunrise: toDate(transit - hourAngle / 360),
+      sunset: toDate(transit + hourAngle / 360)
+    };
+  }
+}
+
+// Export for ThemeManager
+window.ThemeSchedule = ThemeSchedule;
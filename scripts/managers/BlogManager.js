@@ -9,50 +9,60 @@
  * - 캐시 시스템으로 성능 최적화
  */
 class BlogManager {
-  constructor() {
+  /**
+   * @param {Object} [deps] - App이 주입하는 의존성 (생략 시 전역 인스턴스 사용)
+   */
+  constructor({ eventBus = window.eventBus, stateManager = window.stateManager, config = window.appConfig, lifecycle } = {}) {
     // 외부 의존성
-    this.stateManager = window.stateManager;
-    this.eventBus = window.eventBus;
+    this.stateManager = stateManager;
+    this.eventBus = eventBus;
+    this.lifecycle = lifecycle || new Lifecycle('blog', { eventBus, stateManager }); // destroy()에서 일괄 해제
     // i18nManager는 나중에 참조 (초기화 순서 때문에)
     
-    // 설정
-    this.tistoryRssUrl = 'https://arex.tistory.com/rss';
-    this.proxyUrl = 'https://api.allorigins.win/get';
-    this.maxPosts = 6; // 최대 표시할 포스트 수
+    // 설정 (config.json의 blog 섹션, 설정이 없으면 기본값)
+    const settings = config?.get('blog') ?? Config.defaults.blog;
+    this.tistoryRssUrl = settings.rssUrl;
+    this.proxyUrl = settings.proxyUrl;
+    this.maxPosts = settings.maxPosts; // 최대 표시할 포스트 수
     this.cacheKey = 'tistory-blog-cache';
-    this.cacheExpiry = 30 * 60 * 1000; // 30분 캐시
+    this.cacheExpiry = settings.cacheExpiry; // 캐시 유효 시간 (기본 30분)
     
     // 내부 상태
     this.blogPosts = [];
     this.isLoading = false;
     this.lastFetch = null;
-    
-    this.init();
   }
 
+  /**
+   * 의존 매니저 (App이 이 매니저들의 init() 완료 후 초기화)
+   * @returns {Array<string>} 매니저 이름 목록
+   */
+  static get dependencies() {
+    return ['i18n'];
+  }
+
+  /**
+   * 매니저 초기화 (App이 I18nManager 초기화 완료 후 호출)
+   * - 블로그 로드는 네트워크 상황에 따라 오래 걸릴 수 있으므로 기다리지 않고 백그라운드로 진행
+   */
   async init() {
     console.log('🔥 BlogManager 초기화 시작');
     this.setupEventListeners();
     
-    // I18nManager가 준비될 때까지 기다린 후 블로그 로드
-    setTimeout(async () => {
-      try {
-        await this.loadBlogPosts();
-        console.log('✅ BlogManager 초기화 완료');
-      } catch (error) {
-        console.error('❌ BlogManager 초기화 실패:', error);
-      }
-    }, 500); // I18nManager 초기화 완료 대기
+    this.loadBlogPosts()
+      .then(() => console.log('✅ 블로그 포스트 초기 로드 완료'))
+      .catch(error => this.eventBus.emit('app:error', { error, manager: 'blog', context: 'initial load' }));
   }
 
   setupEventListeners() {
-    // 언어 변경 시 블로그 섹션 업데이트
-    this.eventBus.on('i18n:languageChanged', () => {
+    // I18nManager가 페이지를 다시 그리면(초기 렌더링·언어 변경) 정적 포스트를 덮어쓰므로
+    // 블로그 섹션을 다시 적용. sticky 이벤트라 늦게 생성되어도 마지막 렌더링을 받음
+    this.lifecycle.on('i18n:pageRendered', () => {
       this.updateBlogSection();
     });
 
     // 수동 새로고침 이벤트
-    this.eventBus.on('blog:refresh', () => {
+    this.lifecycle.on('blog:refresh', () => {
       this.refreshBlogPosts();
     });
   }
@@ -174,14 +184,22 @@ class BlogManager {
       console.log(`✅ 티스토리에서 ${this.blogPosts.length}개의 포스트를 성공적으로 로드했습니다.`);
       
       this.eventBus.emit('blog:loadingSuccess', { posts: this.blogPosts });
+      this.eventBus.emit('ui:dismiss', 'blog-load'); // 이전 실패 알림 닫기
       
     } catch (error) {
-      console.error('❌ 티스토리 RSS 로드 실패:', error);
+      // 폴백 포스트로 대체되므로 warning으로 보고
+      this.eventBus.emit('app:error', { error, manager: 'blog', context: 'RSS fetch', level: 'warning' });
       
       // 폴백: 정적 데이터 사용
       this.loadFallbackPosts();
       
       this.eventBus.emit('blog:loadingError', { error });
+      this.eventBus.emit('ui:notify', {
+        id: 'blog-load',
+        type: 'warning',
+        messageKey: 'blogLoadFailed',
+        action: { labelKey: 'retry', event: 'blog:refresh' }
+      });
     } finally {
       this.isLoading = false;
       
@@ -340,7 +358,7 @@ class BlogManager {
       
       return data;
     } catch (error) {
-      console.error('캐시 데이터 로드 실패:', error);
+      this.eventBus.emit('app:error', { error, manager: 'blog', context: 'cache read', level: 'warning' });
       localStorage.removeItem(this.cacheKey);
       return null;
     }
@@ -397,7 +415,7 @@ class BlogManager {
       };
       localStorage.setItem(this.cacheKey, JSON.stringify(cacheData));
     } catch (error) {
-      console.error('캐시 데이터 저장 실패:', error);
+      this.eventBus.emit('app:error', { error, manager: 'blog', context: 'cache write', level: 'warning' });
     }
   }
 
@@ -447,7 +465,7 @@ class BlogManager {
     
     // 블로그 포스트 HTML 생성
     blogGrid.innerHTML = this.blogPosts.map((post, index) => `
-      <article class="blog-card" data-aos="zoom-in" ${index > 0 ? `data-aos-delay="${index * 200}"` : ''}>
+      <article class="blog-card" data-post="${index + 1}" data-aos="zoom-in" ${index > 0 ? `data-aos-delay="${index * 200}"` : ''}>
         <div class="blog-wrapper">
           <div class="blog-header">
             <span class="blog-date">${post.date}</span>
@@ -499,6 +517,7 @@ class BlogManager {
    * 매니저 정리
    */
   destroy() {
+    this.lifecycle.dispose();
     this.isLoading = false;
     this.blogPosts = [];
   }
@@ -12,40 +12,190 @@
  * 번역 파일 위치: ./languages/{언어코드}.json
  */
 class I18nManager {
-  constructor() {
+  /**
+   * @param {Object} [deps] - App이 주입하는 의존성 (생략 시 전역 인스턴스 사용)
+   */
+  constructor({ eventBus = window.eventBus, stateManager = window.stateManager, lifecycle } = {}) {
     // 외부 의존성
-    this.stateManager = window.stateManager;  // 전역 상태 관리자
-    this.eventBus = window.eventBus;          // 이벤트 버스
+    this.stateManager = stateManager;         // 전역 상태 관리자
+    this.eventBus = eventBus;                 // 이벤트 버스
+    // DOM 리스너·이벤트·상태 구독 추적 (destroy()에서 일괄 해제)
+    this.lifecycle = lifecycle || new Lifecycle('i18n', { eventBus, stateManager });
     
     // 내부 상태
     this.translations = {};                   // 현재 로드된 번역 데이터
     this.isLoading = false;                  // 번역 로딩 상태 플래그
-    
-    this.init();
   }
 
+  /**
+   * 번역 파일을 불러오기 전이나 실패했을 때 쓰는 UI 문구 (모든 매니저가 공유하는 단일 폴백)
+   * - 섹션 구조는 languages/*.json과 같고, I18nManager.translate()가 번역이 없는 키를 여기서 찾음
+   * - 이름 있는 테마의 이름(theme.modes.<이름>)은 ThemeRegistry에 등록된 label로 대체됨
+   */
+  static get fallbackTexts() {
+    return {
+      ko: {
+        notifications: {
+          close: '닫기',
+          retry: '다시 시도',
+          reload: '새로고침',
+          titles: { info: '알림', success: '완료', warning: '주의', error: '오류' },
+          initFailed: '페이지를 불러오는 중 문제가 발생했습니다.',
+          blogLoadFailed: '최신 블로그 글을 불러오지 못해 저장된 글을 표시합니다.',
+          translationsFallback: '번역 파일을 불러오지 못해 기본 문구로 표시합니다.'
+        },
+        shortcuts: {
+          title: '키보드 단축키',
+          hint: '단축키를 눌러 바꿀 수 있습니다.',
+          close: '닫기',
+          change: '{action} 단축키 변경',
+          recording: '새 키 입력… (Esc: 취소)',
+          conflict: "{keys}은(는) 이미 '{action}'에 사용 중입니다.",
+          custom: '변경됨',
+          reset: '기본값',
+          resetAll: '모두 기본값으로',
+          actions: { escape: '메뉴·창 닫기', search: '검색', help: '단축키 도움말', themeToggle: '테마 전환 (라이트·다크·자동)' }
+        },
+        search: {
+          placeholder: '프로젝트, 기술, 블로그 글, 명령 검색…',
+          label: '사이트 검색',
+          empty: '검색 결과가 없습니다.',
+          types: { project: '프로젝트', skill: '기술', about: '소개', blog: '블로그', command: '명령' },
+          commands: {
+            language: '언어 전환: {language}',
+            theme: '테마 전환 (라이트·다크·자동)',
+            section: '이동: {section}',
+            shortcuts: '키보드 단축키 보기'
+          }
+        },
+        theme: {
+          toggle: '테마: {mode} (눌러서 변경)',
+          select: '테마 선택',
+          modes: { light: '라이트', dark: '다크', auto: '자동 (시스템 설정)', schedule: '예약 (밤에는 다크)' }
+        },
+        projectDetail: {
+          close: '닫기',
+          role: '역할',
+          timeline: '기간',
+          writeup: '소개',
+          gallery: '아키텍처',
+          metrics: '성과',
+          tech: '기술 스택',
+          links: '링크'
+        }
+      },
+      en: {
+        notifications: {
+          close: 'Close',
+          retry: 'Retry',
+          reload: 'Reload',
+          titles: { info: 'Notice', success: 'Done', warning: 'Warning', error: 'Error' },
+          initFailed: 'Something went wrong while loading the page.',
+          blogLoadFailed: 'Could not load the latest blog posts. Showing saved posts instead.',
+          translationsFallback: 'Could not load translations. Showing default text instead.'
+        },
+        shortcuts: {
+          title: 'Keyboard shortcuts',
+          hint: 'Click a shortcut to change it.',
+          close: 'Close',
+          change: 'Change shortcut for {action}',
+          recording: 'Press new keys… (Esc to cancel)',
+          conflict: "{keys} is already used by '{action}'.",
+          custom: 'Changed',
+          reset: 'Default',
+          resetAll: 'Reset all',
+          actions: { escape: 'Close menus and dialogs', search: 'Search', help: 'Keyboard shortcuts', themeToggle: 'Change theme (light, dark, auto)' }
+        },
+        search: {
+          placeholder: 'Search projects, skills, posts and commands…',
+          label: 'Site search',
+          empty: 'No results found.',
+          types: { project: 'Project', skill: 'Skill', about: 'About', blog: 'Blog', command: 'Command' },
+          commands: {
+            language: 'Switch language: {language}',
+            theme: 'Change theme (light, dark, auto)',
+            section: 'Go to {section}',
+            shortcuts: 'Show keyboard shortcuts'
+          }
+        },
+        theme: {
+          toggle: 'Theme: {mode} (click to change)',
+          select: 'Choose theme',
+          modes: { light: 'Light', dark: 'Dark', auto: 'Auto (system)', schedule: 'Scheduled (dark at night)' }
+        },
+        projectDetail: {
+          close: 'Close',
+          role: 'Role',
+          timeline: 'Timeline',
+          writeup: 'Overview',
+          gallery: 'Architecture',
+          metrics: 'Impact',
+          tech: 'Tech stack',
+          links: 'Links'
+        }
+      }
+    };
+  }
+
+  /**
+   * 문구 조회 (로드된 번역 → 내장 폴백 문구 → fallback 순서)
+   * I18nManager가 준비되기 전이나 초기화에 실패했을 때도 쓸 수 있도록 정적 메서드로 제공
+   *
+   *   I18nManager.translate('search.commands.language', { language: 'English' });
+   *
+   * @param {string} key - 점 경로 (예: 'notifications.titles.error')
+   * @param {Object} [params] - {name} 자리에 넣을 값
+   * @param {Object} [options] - 조회 옵션
+   * @param {StateManager} [options.stateManager] - 번역·언어를 읽을 상태 관리자 (기본값: 전역 인스턴스)
+   * @param {*} [options.fallback=key] - 어디에도 없을 때 반환할 값 (null이면 null 반환)
+   * @returns {string|*} 문구 (문자열이 아니면 그대로 반환)
+   */
+  static translate(key, params = {}, { stateManager = window.stateManager, fallback = key } = {}) {
+    const lang = stateManager?.getState('language') || document.documentElement.lang;
+    const texts = I18nManager.fallbackTexts[lang] || I18nManager.fallbackTexts.en;
+
+    const text = stateManager?.getState(`translations.${key}`) ??
+      key.split('.').reduce((value, part) => value?.[part], texts) ??
+      fallback;
+
+    return typeof text === 'string'
+      ? text.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match))
+      : text;
+  }
+
+  /**
+   * 매니저 초기화 (App이 완료까지 대기)
+   * - 초기 번역 로딩 및 첫 렌더링까지 끝나야 resolve
+   */
   async init() {
     this.setupEventListeners();
     this.setupStateSubscriptions();
     
     // Load initial translations and wait for completion
+    // (<html lang>는 index.html 부트스트랩이 저장된 언어로 이미 설정해 둠)
     const currentLang = this.stateManager.getState('language');
     console.log('🌐 I18nManager 초기화: 현재 언어 =', currentLang);
     
-    await this.loadTranslations(currentLang);
-    
-    // Only update UI after translations are fully loaded
-    if (this.isReady()) {
-      this.updateMenuLanguageButtons();
-      this.renderPage(); // 초기 번역으로 페이지 렌더링
-      this.enableLanguageButtons(); // 언어 버튼 활성화
-      console.log('✅ I18nManager 초기화 완료');
+    try {
+      await this.loadTranslations(currentLang);
+      
+      // Only update UI after translations are fully loaded
+      if (this.isReady()) {
+        this.updateMenuLanguageButtons();
+        this.renderPage(); // 초기 번역으로 페이지 렌더링
+        this.enableLanguageButtons(); // 언어 버튼 활성화
+        console.log('✅ I18nManager 초기화 완료');
+      }
+    } finally {
+      // 렌더링에 실패해도 부트스트랩이 숨긴 페이지는 다시 표시
+      this.updateDocumentLanguage();
+      document.documentElement.removeAttribute('data-i18n-pending');
     }
   }
 
   setupEventListeners() {
     // Handle language button clicks
-    document.addEventListener('click', (e) => {
+    this.lifecycle.listen(document, 'click', (e) => {
       if (e.target.classList.contains('menu-lang-btn')) {
         const newLang = e.target.dataset.lang;
         if (newLang !== this.getCurrentLanguage()) {
@@ -55,13 +205,20 @@ class I18nManager {
     });
 
     // Listen for language change events
-    this.eventBus.on('i18n:switchLanguage', (lang) => this.switchLanguage(lang));
-    this.eventBus.on('i18n:reload', () => this.reloadTranslations());
+    this.lifecycle.on('i18n:switchLanguage', (lang) => this.switchLanguage(lang));
+    this.lifecycle.on('i18n:reload', () => this.reloadTranslations());
   }
 
   setupStateSubscriptions() {
-    // 언어 상태 변경은 switchLanguage()에서 직접 처리합니다.
-    // (이전에는 본문이 전부 주석 처리된 죽은 구독 코드가 있어 제거했습니다.)
+    // 이 탭에서의 언어 변경은 switchLanguage()에서 직접 처리합니다.
+    // 다른 탭에서 바뀐 언어(source: 'remote')와 실행 취소·다시 실행(source: 'history')만
+    // 여기서 번역 로딩·렌더링을 수행합니다. (translations는 기록되지 않으므로 language로 다시 로드)
+    this.lifecycle.subscribe('language', (newLang, oldLang, { source }) => {
+      if ((source === 'remote' || source === 'history') && newLang !== oldLang) {
+        console.log(`🌐 ${source === 'remote' ? '다른 탭에서' : '기록 이동으로'} 언어 변경:`, oldLang, '->', newLang);
+        this.applyLanguage(newLang, oldLang);
+      }
+    });
   }
 
   /**
@@ -82,16 +239,10 @@ class I18nManager {
     // 변경 전 언어를 미리 캡처 (아래에서 setState 후엔 현재 언어가 newLang이 되므로)
     const oldLang = this.getCurrentLanguage();
 
-    // 초기 로딩이 완료되지 않았다면 잠시 대기
-    const appReady = this.stateManager.getState('appReady');
-    if (!appReady) {
+    // 초기 로딩이 완료되지 않았다면 app:ready까지 대기 (sticky 이벤트라 이미 발생했으면 즉시 resolve)
+    if (!this.stateManager.getState('appReady')) {
       console.log('⏳ 앱 초기화 대기 중...');
-      // 앱이 준비될 때까지 최대 3초 대기
-      let waitCount = 0;
-      while (!this.stateManager.getState('appReady') && waitCount < 30) {
-        await new Promise(resolve => setTimeout(resolve, 100));
-        waitCount++;
-      }
+      await new Promise(resolve => this.lifecycle.once('app:ready', resolve));
     }
     
     console.log('🌐 언어 변경 시작:', this.getCurrentLanguage(), '->', newLang);
@@ -103,21 +254,33 @@ class I18nManager {
     // Update button states immediately for visual feedback
     this.updateMenuLanguageButtons(newLang);
     
-    // 언어 상태 변경
-    this.stateManager.setState('language', newLang);
+    // 언어 상태 변경 (지원하지 않는 언어는 스키마가 거부 → state:invalid)
+    if (!this.stateManager.setState('language', newLang)) {
+      document.body.classList.remove('language-switching');
+      this.updateMenuLanguageButtons();
+      return;
+    }
     
+    await this.applyLanguage(newLang, oldLang);
+  }
+
+  /**
+   * Load and render a language that is already set in state
+   * (called by switchLanguage() and for changes synced from other tabs)
+   * @param {string} newLang - Language code now in state
+   * @param {string} oldLang - Previous language code
+   */
+  async applyLanguage(newLang, oldLang) {
     // 번역 데이터 로딩 완료를 기다린 후 타이핑 애니메이션 재시작
     await this.loadTranslations(newLang);
     this.renderPage();
     this.updateMenuLanguageButtons();
     
-    // 번역 데이터 업데이트 후 타이핑 매니저에게 재시작 신호
-    this.eventBus.emit('i18n:languageChanged', { newLang, oldLang });
+    // 번역 데이터 업데이트 후 모든 리스너(블로그 등)의 처리가 끝날 때까지 대기
+    await this.eventBus.emitAsync('i18n:languageChanged', { newLang, oldLang });
     
-    // 타이핑 애니메이션 강제 재시작 (더 긴 대기시간)
-    setTimeout(() => {
-      this.eventBus.emit('typing:restart');
-    }, 300);
+    // 리스너 처리가 끝난 뒤 타이핑 애니메이션 재시작
+    this.eventBus.emit('typing:restart');
   }
 
   /**
@@ -166,20 +329,31 @@ class I18nManager {
       }
       
       this.translations = data;
-      this.stateManager.setState('translations', this.translations);
+      // 번역은 language에서 파생되므로 기록하지 않음 (실행 취소는 language 항목으로 충분)
+      this.stateManager.setState('translations', this.translations, { record: false });
       
       console.log(`Successfully loaded ${lang} translations`);
       this.eventBus.emit('i18n:loadingSuccess', { lang, translations: this.translations });
+      this.eventBus.emit('ui:dismiss', 'i18n-load'); // 이전 실패 알림 닫기
       
     } catch (error) {
-      console.error(`Failed to load ${lang} translations:`, error);
-      
       // Use fallback translations appropriate for the requested language
-      console.warn(`Using fallback translations for ${lang}`);
+      this.eventBus.emit('app:error', {
+        error,
+        manager: 'i18n',
+        context: `load ${lang} translations (using fallback)`,
+        level: 'warning'
+      });
       this.translations = this.getFallbackTranslations();
-      this.stateManager.setState('translations', this.translations);
+      this.stateManager.setState('translations', this.translations, { record: false });
       
       this.eventBus.emit('i18n:loadingError', { lang, error });
+      this.eventBus.emit('ui:notify', {
+        id: 'i18n-load',
+        type: 'warning',
+        messageKey: 'translationsFallback',
+        action: { labelKey: 'retry', event: 'i18n:reload' }
+      });
     } finally {
       this.isLoading = false;
       
@@ -196,9 +370,11 @@ class I18nManager {
    */
   getFallbackTranslations() {
     const currentLang = this.getCurrentLanguage();
+    const uiTexts = I18nManager.fallbackTexts[currentLang] || I18nManager.fallbackTexts.en;
     
     if (currentLang === 'ko') {
       return {
+        ...uiTexts,
         meta: {
           title: "이우용 - 포트폴리오",
           description: "데이터 엔지니어 포트폴리오",
@@ -248,6 +424,7 @@ class I18nManager {
     
     // English fallback
     return {
+      ...uiTexts,
       meta: {
         title: "Wooyong Lee - Portfolio",
         description: "Data Engineer Portfolio",
@@ -329,6 +506,7 @@ class I18nManager {
       return;
     }
 
+    this.updateDocumentLanguage();
     this.updateMeta();
     this.updateNavigation(); // 네비게이션 업데이트 추가
     this.updateHero();
@@ -359,6 +537,16 @@ class I18nManager {
     }
   }
 
+  /**
+   * <html lang>을 현재 언어로 맞춤 (부트스트랩이 이미 설정했다면 그대로 둠)
+   */
+  updateDocumentLanguage() {
+    const lang = this.getCurrentLanguage();
+    if (document.documentElement.lang !== lang) {
+      document.documentElement.lang = lang;
+    }
+  }
+
   /**
    * Update or create meta tag
    * @param {string} name - Meta tag name
@@ -444,7 +632,7 @@ class I18nManager {
     const projectGrid = document.querySelector('.project-grid');
     if (projectGrid && projects.items && projects.items.length > 0) {
       projectGrid.innerHTML = projects.items.map((project, index) => `
-        <div class="project-card" data-aos="zoom-in" ${index > 0 ? `data-aos-delay="${index * 200}"` : ''}>
+        <div class="project-card" data-slug="${project.slug || ''}" data-aos="zoom-in" ${index > 0 ? `data-aos-delay="${index * 200}"` : ''}>
           <div class="project-wrapper">
             <div class="project-image">
               <img src="${project.image}" alt="${project.title}" />
@@ -453,11 +641,12 @@ class I18nManager {
               <h3>${project.title}</h3>
               <p>${project.description}</p>
               <div class="project-links">
+                ${project.slug ? `<a href="#projects/${encodeURIComponent(project.slug)}" class="project-link project-detail-link">${ui?.details || '상세 보기'}</a>` : ''}
                 ${project.link ? `<a href="${project.link}" class="project-link" target="_blank" rel="noopener noreferrer">${ui?.github || 'GitHub'}</a>` : ''}
                 ${project.pptLink ? `<a href="${project.pptLink}" class="project-link" target="_blank" rel="noopener noreferrer">${ui?.ppt || 'PPT'}</a>` : ''}
                 ${project.websiteLink ? `<a href="${project.websiteLink}" class="project-link" target="_blank" rel="noopener noreferrer">${ui?.website || 'Website'}</a>` : ''}
                 ${project.videoLink ? `<a href="${project.videoLink}" class="project-link" target="_blank" rel="noopener noreferrer">${ui?.video || '시연 영상'}</a>` : ''}
-                ${project.locked ? `<span class="project-link" style="cursor:default;opacity:.7;">${project.locked}</span>` : ''}
+                ${project.locked ? `<span class="project-link project-link--locked">${project.locked}</span>` : ''}
               </div>
             </div>
           </div>
@@ -667,6 +856,7 @@ class I18nManager {
    * Cleanup event listeners
    */
   destroy() {
+    this.lifecycle.dispose();
     this.isLoading = false;
     this.translations = {};
   }
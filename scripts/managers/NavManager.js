@@ -1,62 +1,86 @@
 /**
  * NavManager - Handles navigation menu interactions and smooth scrolling
  * Integrates with StateManager and EventBus for reactive updates
+ *
+ * Scroll spy: the section under the reading line (middle of the viewport below
+ * the fixed header) is kept in the `activeSection` state ('#about', or null above
+ * the first section) and announced with `nav:activeChanged` when it changes.
+ * How far each section has been read (0–1) is shown on its menu link (the
+ * `--section-progress` CSS property drives an underline); the `sectionProgress`
+ * state ('#id' -> 0–1) only moves in steps of `progressStep`, so scrolling does
+ * not flood `state:changed`.
+ * The reading-progress bar at the top shows the progress of the whole page.
  */
 class NavManager {
-  constructor() {
+  /**
+   * @param {Object} [deps] - Dependencies injected by App (defaults to the globals)
+   */
+  constructor({ eventBus = window.eventBus, stateManager = window.stateManager, config = window.appConfig, lifecycle } = {}) {
     this.navToggle = null;
     this.navList = null;
     this.navLinks = [];
-    this.stateManager = window.stateManager;
-    this.eventBus = window.eventBus;
-    
-    this.init();
+    this.progressBar = null;
+    this.isSpying = false;
+    this.frame = null; // Pending requestAnimationFrame id
+    this.progressStep = 0.25; // Granularity of the sectionProgress state
+    this.indicatorValues = new Map(); // '#id' -> --section-progress last written to its link
+    this.headerOffset = config?.get('nav.headerOffset') ?? Config.defaults.nav.headerOffset; // Fixed header height (px)
+    this.stateManager = stateManager;
+    this.eventBus = eventBus;
+    this.lifecycle = lifecycle || new Lifecycle('nav', { eventBus, stateManager });
   }
 
   init() {
     this.setupDOM();
     this.setupEventListeners();
     this.setupStateSubscriptions();
+    this.initScrollSpy();
   }
 
   setupDOM() {
     this.navToggle = document.getElementById('nav-toggle');
     this.navList = document.getElementById('nav-list');
     this.navLinks = document.querySelectorAll('.nav-link');
+    this.progressBar = document.getElementById('reading-progress-bar');
   }
 
   setupEventListeners() {
     // Toggle button click
-    if (this.navToggle) {
-      this.navToggle.addEventListener('click', (e) => {
-        e.preventDefault();
-        this.toggleNav();
-      });
-    }
+    this.lifecycle.listen(this.navToggle, 'click', (e) => {
+      e.preventDefault();
+      this.toggleNav();
+    });
 
     // Navigation link clicks
     this.navLinks.forEach(link => {
-      link.addEventListener('click', (e) => {
+      this.lifecycle.listen(link, 'click', (e) => {
         this.handleNavLinkClick(e, link);
       });
     });
 
     // Close nav when clicking outside
-    document.addEventListener('click', (e) => {
+    this.lifecycle.listen(document, 'click', (e) => {
       if (!e.target.closest('.nav-menu')) {
         this.closeNav();
       }
     });
 
     // Listen for navigation events
-    this.eventBus.on('nav:toggle', () => this.toggleNav());
-    this.eventBus.on('nav:open', () => this.openNav());
-    this.eventBus.on('nav:close', () => this.closeNav());
-    this.eventBus.on('nav:scrollTo', (sectionId) => this.scrollToSection(sectionId));
-
-    // Handle escape key
-    document.addEventListener('keydown', (e) => {
-      if (e.key === 'Escape' && this.isNavOpen()) {
+    this.lifecycle.on('nav:toggle', () => this.toggleNav());
+    this.lifecycle.on('nav:open', () => this.openNav());
+    this.lifecycle.on('nav:close', () => this.closeNav());
+    // Payload: '#section', or { targetId, updateHistory } (the router scrolls without a new history entry)
+    this.lifecycle.on('nav:scrollTo', (target) => {
+      if (typeof target === 'string') {
+        this.scrollToSection(target);
+      } else if (target) {
+        this.scrollToSection(target.targetId, target);
+      }
+    });
+
+    // Escape shortcut (registered by the app in the shortcut registry)
+    this.lifecycle.on('app:escape', () => {
+      if (this.isNavOpen()) {
         this.closeNav();
       }
     });
@@ -64,7 +88,7 @@ class NavManager {
 
   setupStateSubscriptions() {
     // Subscribe to nav state changes (prevent infinite loop)
-    this.stateManager.subscribe('isNavOpen', (isOpen, oldValue) => {
+    this.lifecycle.subscribe('isNavOpen', (isOpen, oldValue) => {
       // Only update if the value actually changed
       if (isOpen !== oldValue) {
         this.updateNavVisibility(isOpen);
@@ -97,14 +121,16 @@ class NavManager {
   /**
    * Scroll to specific section with smooth animation
    * @param {string} targetId - Target section ID (with #)
+   * @param {Object} [options] - Scroll options
+   * @param {boolean} [options.updateHistory=true] - Push the section hash to the history
    */
-  scrollToSection(targetId) {
+  scrollToSection(targetId, { updateHistory = true } = {}) {
     if (!targetId) return;
     
     const targetSection = document.querySelector(targetId);
     
     if (targetSection) {
-      const offsetTop = targetSection.offsetTop - 80; // Account for fixed header
+      const offsetTop = targetSection.offsetTop - this.headerOffset; // Account for fixed header
       
       window.scrollTo({
         top: offsetTop,
@@ -112,9 +138,11 @@ class NavManager {
       });
       
       // Update URL without triggering page reload
-      history.pushState(null, null, targetId);
+      if (updateHistory && window.location.hash !== targetId) {
+        history.pushState(null, null, targetId);
+      }
       
-      this.eventBus.emit('nav:scrolled', { targetId, targetSection });
+      this.eventBus.emit('nav:scrolled', { targetId, targetSection, updateHistory });
     }
   }
 
@@ -184,7 +212,7 @@ class NavManager {
 
   /**
    * Set active navigation item based on current section
-   * @param {string} sectionId - Current section ID
+   * @param {string|null} sectionId - Current section ID (null clears the active item)
    */
   setActiveNavItem(sectionId) {
     this.navLinks.forEach(link => {
@@ -201,39 +229,117 @@ class NavManager {
   }
 
   /**
-   * Initialize scroll spy functionality
+   * Initialize scroll spy and reading progress
+   * Positions are measured at most once per frame on scroll and resize, and
+   * again after content that changes the layout has been rendered.
    */
   initScrollSpy() {
-    const sections = document.querySelectorAll('section[id]');
+    if (this.isSpying) return;
+    this.isSpying = true;
+    
+    const schedule = () => this.scheduleScrollUpdate();
+    this.lifecycle.listen(window, 'scroll', schedule, { passive: true });
+    this.lifecycle.listen(window, 'resize', schedule);
+    this.lifecycle.on('i18n:pageRendered', schedule);
+    this.lifecycle.on('blog:sectionUpdated', schedule);
+    this.lifecycle.add('frames', () => {
+      if (this.frame !== null) cancelAnimationFrame(this.frame);
+      this.frame = null;
+    });
+    
+    this.updateScrollProgress();
+  }
+
+  /**
+   * Measure on the next frame (repeated scroll events share one measurement)
+   */
+  scheduleScrollUpdate() {
+    if (this.frame !== null) return;
+    
+    this.frame = requestAnimationFrame(() => {
+      this.frame = null;
+      this.updateScrollProgress();
+    });
+  }
+
+  /**
+   * Update the progress bar, the menu link indicators, `activeSection` and `sectionProgress`
+   */
+  updateScrollProgress() {
+    const viewportHeight = window.innerHeight;
+    const scrollable = document.documentElement.scrollHeight - viewportHeight;
+    const pageProgress = scrollable > 0 ? Math.min(Math.max(window.scrollY / scrollable, 0), 1) : 0;
+    
+    if (this.progressBar) {
+      this.progressBar.style.transform = `scaleX(${pageProgress})`;
+    }
     
-    if (sections.length === 0) return;
+    // Reading line: middle of the viewport below the fixed header
+    const line = this.headerOffset + (viewportHeight - this.headerOffset) / 2;
+    const sections = Array.from(document.querySelectorAll('section[id]'));
+    const sectionProgress = {};
+    let activeSection = null;
+    
+    sections.forEach(section => {
+      const { top, height } = section.getBoundingClientRect();
+      const sectionId = `#${section.id}`;
+      const progress = height > 0 ? Math.min(Math.max((line - top) / height, 0), 1) : 0;
+      
+      this.updateSectionIndicator(sectionId, progress);
+      sectionProgress[sectionId] = Math.floor(progress / this.progressStep) * this.progressStep;
+      if (top <= line && line < top + height) activeSection = sectionId;
+    });
     
-    const observer = new IntersectionObserver((entries) => {
-      entries.forEach(entry => {
-        if (entry.isIntersecting) {
-          this.setActiveNavItem(`#${entry.target.id}`);
+    // A short last section may never reach the line: it is active at the bottom
+    if (scrollable > 0 && pageProgress === 1 && sections.length > 0) {
+      activeSection = `#${sections[sections.length - 1].id}`;
+    }
+    
+    const previousSection = this.stateManager.getState('activeSection');
+    const changes = { activeSection, sectionProgress };
+    
+    // Scroll positions are not undoable: keep them out of the history
+    this.stateManager.batch(() => {
+      Object.entries(changes).forEach(([key, value]) => {
+        if (!this.stateManager.isSameValue(this.stateManager.getState(key), value)) {
+          this.stateManager.setState(key, value, { record: false });
         }
       });
-    }, {
-      threshold: 0.3,
-      rootMargin: '-80px 0px -50% 0px'
     });
     
-    sections.forEach(section => observer.observe(section));
+    if (activeSection !== previousSection) {
+      this.setActiveNavItem(activeSection);
+    }
   }
 
   /**
-   * Cleanup event listeners and observers
+   * Show how far a section has been read on its menu link
+   * Only written when the rounded value changes (not on every frame).
+   * @param {string} sectionId - Section id (e.g. '#about')
+   * @param {number} progress - Read fraction (0–1)
    */
-  destroy() {
-    // Remove event listeners
-    if (this.navToggle) {
-      this.navToggle.removeEventListener('click', this.toggleNav);
-    }
+  updateSectionIndicator(sectionId, progress) {
+    const value = progress.toFixed(2);
+    if (this.indicatorValues.get(sectionId) === value) return;
     
+    this.indicatorValues.set(sectionId, value);
     this.navLinks.forEach(link => {
-      link.removeEventListener('click', this.handleNavLinkClick);
+      if (link.getAttribute('href') === sectionId) {
+        link.style.setProperty('--section-progress', value);
+      }
     });
+  }
+
+  /**
+   * Cleanup event listeners and observers
+   */
+  destroy() {
+    // Close the menu while the isNavOpen subscription is still active
+    this.closeNav();
+    
+    // Remove DOM listeners, bus/state subscriptions and the pending scroll measurement
+    this.lifecycle.dispose();
+    this.isSpying = false;
     
     // Restore body scroll
     document.body.style.overflow = '';
@@ -0,0 +1,248 @@
+/**
+ * NotificationManager - 토스트 알림 관리자
+ *
+ * 주요 기능:
+ * - EventBus `ui:notify`로 어디서든 알림 표시 (`ui:dismiss`로 닫기)
+ * - 심각도(info, success, warning, error)별 스타일과 자동 닫힘 시간
+ * - 재시도 등 액션 버튼 (이벤트 발생 또는 콜백 실행)
+ * - languages/*.json의 `notifications` 섹션으로 번역, 번역 로딩 실패 시 내장 문구 사용
+ * - 언어가 바뀌면 떠 있는 알림의 문구도 다시 번역
+ *
+ * 사용 예:
+ *   eventBus.emit('ui:notify', {
+ *     id: 'blog-load',                 // 같은 id의 알림은 교체됨
+ *     type: 'warning',
+ *     messageKey: 'blogLoadFailed',    // notifications.blogLoadFailed
+ *     action: { labelKey: 'retry', event: 'blog:refresh' }
+ *   });
+ */
+class NotificationManager {
+  /**
+   * @param {Object} [deps] - App이 주입하는 의존성 (생략 시 전역 인스턴스 사용)
+   */
+  constructor({ eventBus = window.eventBus, stateManager = window.stateManager, lifecycle } = {}) {
+    // 외부 의존성
+    this.stateManager = stateManager;
+    this.eventBus = eventBus;
+    this.lifecycle = lifecycle || new Lifecycle('notifications', { eventBus, stateManager });
+
+    // 설정
+    this.maxVisible = 4;            // 동시에 표시할 최대 알림 수 (초과 시 오래된 것부터 닫음)
+    this.durations = {              // 심각도별 자동 닫힘 시간 (ms, 0 = 직접 닫을 때까지 유지)
+      info: 4000,
+      success: 4000,
+      warning: 8000,
+      error: 0
+    };
+
+    // 내부 상태
+    this.container = null;          // 알림 영역 요소
+    this.notifications = new Map(); // id -> { options, element, cancelTimer }
+    this.sequence = 0;              // 자동 id 생성용
+  }
+
+  /**
+   * 매니저 초기화 (App이 호출)
+   * - 다른 매니저의 초기화 실패도 표시할 수 있도록 의존성 없이 가장 먼저 준비됨
+   */
+  init() {
+    this.setupDOM();
+    this.setupEventListeners();
+    this.setupStateSubscriptions();
+  }
+
+  /**
+   * 알림 영역 생성 (스크린 리더가 새 알림을 읽도록 aria-live 지정)
+   */
+  setupDOM() {
+    this.container = document.createElement('div');
+    this.container.className = 'notification-region';
+    this.container.setAttribute('role', 'region');
+    this.container.setAttribute('aria-live', 'polite');
+    document.body.appendChild(this.container);
+  }
+
+  setupEventListeners() {
+    this.lifecycle.on('ui:notify', (options) => this.notify(options));
+    this.lifecycle.on('ui:dismiss', (id) => this.dismiss(id));
+  }
+
+  setupStateSubscriptions() {
+    // 번역이 바뀌면 (언어 전환, 번역 로딩 완료) 떠 있는 알림 문구를 다시 번역
+    this.lifecycle.subscribe('translations', () => {
+      this.notifications.forEach(notification => this.renderText(notification));
+    });
+  }
+
+  /**
+   * 알림 표시
+   * @param {Object} options - 알림 옵션
+   * @param {string} [options.id] - 알림 id (같은 id의 알림은 교체)
+   * @param {string} [options.type='info'] - 'info' | 'success' | 'warning' | 'error'
+   * @param {string} [options.messageKey] - notifications 섹션의 번역 키
+   * @param {string} [options.message] - 번역 키가 없을 때 표시할 문구
+   * @param {string} [options.titleKey] - 제목 번역 키 (기본: 심각도별 제목)
+   * @param {string} [options.title] - 제목 문구
+   * @param {Object} [options.params] - 문구의 {name} 자리에 넣을 값
+   * @param {number} [options.duration] - 자동 닫힘 시간 (ms, 0 = 유지, 기본: 심각도별)
+   * @param {Object} [options.action] - 액션 버튼 { labelKey|label, event, data } 또는 { labelKey|label, handler }
+   * @returns {string|null} 알림 id (알림 영역이 없으면 null)
+   */
+  notify(options = {}) {
+    if (!this.container) return null;
+
+    const type = options.type in this.durations ? options.type : 'info';
+    const id = options.id || `notification-${++this.sequence}`;
+    const notification = { options: { ...options, type, id }, element: null, cancelTimer: null };
+
+    // 같은 id의 알림은 교체 (재시도가 실패할 때마다 쌓이지 않도록)
+    this.dismiss(id);
+
+    notification.element = this.createElement(notification);
+    this.renderText(notification);
+    this.container.appendChild(notification.element);
+    this.notifications.set(id, notification);
+
+    // 최대 개수 초과 시 가장 오래된 알림부터 닫기
+    while (this.notifications.size > this.maxVisible) {
+      this.dismiss(this.notifications.keys().next().value);
+    }
+
+    const duration = options.duration ?? this.durations[type];
+    if (duration > 0) {
+      notification.cancelTimer = this.lifecycle.timeout(() => this.dismiss(id), duration);
+    }
+
+    this.eventBus.emit('ui:notified', { id, type });
+    return id;
+  }
+
+  /**
+   * 알림 요소 생성 (문구는 renderText()에서 textContent로 채움)
+   * @param {Object} notification - 알림 정보
+   * @returns {Element} 알림 요소
+   */
+  createElement(notification) {
+    const { type, id, action } = notification.options;
+
+    const element = document.createElement('div');
+    element.className = `notification notification--${type}`;
+    // 오류·경고는 즉시 읽히도록 alert, 나머지는 status
+    element.setAttribute('role', type === 'error' || type === 'warning' ? 'alert' : 'status');
+    element.dataset.id = id;
+
+    const body = document.createElement('div');
+    body.className = 'notification__body';
+    body.innerHTML = '<strong class="notification__title"></strong><p class="notification__message"></p>';
+    element.appendChild(body);
+
+    if (action) {
+      const actionButton = document.createElement('button');
+      actionButton.type = 'button';
+      actionButton.className = 'notification__action';
+      actionButton.addEventListener('click', () => this.runAction(notification));
+      element.appendChild(actionButton);
+    }
+
+    const closeButton = document.createElement('button');
+    closeButton.type = 'button';
+    closeButton.className = 'notification__close';
+    closeButton.textContent = '×';
+    closeButton.addEventListener('click', () => this.dismiss(id));
+    element.appendChild(closeButton);
+
+    return element;
+  }
+
+  /**
+   * 현재 언어로 알림 문구 적용
+   * @param {Object} notification - 알림 정보
+   */
+  renderText({ options, element }) {
+    const { type, titleKey, title, messageKey, message, params, action } = options;
+
+    element.querySelector('.notification__title').textContent =
+      this.t(titleKey || (title ? null : `titles.${type}`), title || '', params);
+    element.querySelector('.notification__message').textContent =
+      this.t(messageKey, message || '', params);
+
+    const actionButton = element.querySelector('.notification__action');
+    if (actionButton) {
+      actionButton.textContent = this.t(action.labelKey, action.label || '', params);
+    }
+
+    element.querySelector('.notification__close').setAttribute('aria-label', this.t('close', 'Close'));
+  }
+
+  /**
+   * 액션 실행 후 알림 닫기
+   * @param {Object} notification - 알림 정보
+   */
+  runAction({ options }) {
+    const { id, action } = options;
+    this.dismiss(id);
+
+    if (typeof action.handler === 'function') {
+      action.handler();
+    } else if (action.event) {
+      this.eventBus.emit(action.event, action.data);
+    }
+  }
+
+  /**
+   * 알림 닫기
+   * @param {string} id - 알림 id
+   * @returns {boolean} 닫은 알림이 있었는지 여부
+   */
+  dismiss(id) {
+    const notification = this.notifications.get(id);
+    if (!notification) return false;
+
+    notification.cancelTimer?.();
+    notification.element.remove();
+    this.notifications.delete(id);
+
+    this.eventBus.emit('ui:dismissed', { id });
+    return true;
+  }
+
+  /**
+   * 모든 알림 닫기
+   */
+  dismissAll() {
+    Array.from(this.notifications.keys()).forEach(id => this.dismiss(id));
+  }
+
+  /**
+   * notifications 섹션 번역 (I18nManager.translate 참고)
+   * @param {string} key - 번역 키 (점 경로, 예: 'titles.error')
+   * @param {string} fallback - 번역이 없을 때 사용할 문구
+   * @param {Object} [params] - {name} 자리에 넣을 값
+   * @returns {string} 번역된 문구
+   */
+  t(key, fallback = '', params = {}) {
+    if (!key) return fallback;
+    return String(I18nManager.translate(`notifications.${key}`, params, { stateManager: this.stateManager, fallback }));
+  }
+
+  /**
+   * 떠 있는 알림 id 목록
+   * @returns {Array<string>} 알림 id
+   */
+  getActiveIds() {
+    return Array.from(this.notifications.keys());
+  }
+
+  /**
+   * 매니저 정리 - 알림 영역 제거 및 타이머·구독 해제
+   */
+  destroy() {
+    this.lifecycle.dispose();
+    this.notifications.clear();
+    this.container?.remove();
+    this.container = null;
+  }
+}
+
+// Export for use in main app
+window.NotificationManager = NotificationManager;
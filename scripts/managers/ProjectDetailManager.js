@@ -0,0 +1,378 @@
+/**
+ * ProjectDetailManager - 프로젝트 상세 보기 창
+ *
+ * 주요 기능:
+ * - `#projects/<slug>` 경로(RouterManager의 `route` 상태)에서 해당 프로젝트의 상세 창 표시
+ *   (공유 링크·카드의 '상세 보기' 링크·뒤로/앞으로 모두 같은 경로로 처리)
+ * - 소개 글, 아키텍처 이미지, 역할·기간, 기술 태그, 성과 지표 표시
+ *   (languages/*.json 프로젝트 항목의 선택 필드: writeup, gallery, role, timeline, tech, metrics)
+ * - Esc(`app:escape`), 닫기 버튼, 배경 클릭으로 닫으면 현재 기록을 `#projects`로 교체
+ * - 뒤로 가기 등으로 경로가 바뀌면 창을 닫고, 언어 전환 시 열린 창을 다시 그림
+ * - 열린 동안 Tab / Shift+Tab 포커스는 창 안에서만 순환 (FocusTrap)
+ */
+class ProjectDetailManager {
+  /**
+   * @param {Object} [deps] - App이 주입하는 의존성 (생략 시 전역 인스턴스 사용)
+   */
+  constructor({ eventBus = window.eventBus, stateManager = window.stateManager, lifecycle } = {}) {
+    // 외부 의존성
+    this.stateManager = stateManager;
+    this.eventBus = eventBus;
+    this.lifecycle = lifecycle || new Lifecycle('projectDetail', { eventBus, stateManager });
+
+    // 내부 상태
+    this.overlay = null;            // 상세 창 요소
+    this.slug = null;               // 현재 경로가 가리키는 프로젝트 slug
+    this.isOpen = false;
+    this.previousFocus = null;      // 창을 닫을 때 포커스를 돌려줄 요소
+  }
+
+  /**
+   * 경로(route 상태)와 렌더링된 프로젝트 목록이 필요
+   */
+  static get dependencies() {
+    return ['i18n', 'router'];
+  }
+
+  /**
+   * 매니저 초기화 (App이 호출)
+   */
+  init() {
+    this.setupEventListeners();
+    this.setupStateSubscriptions();
+
+    // 공유 링크로 열린 경우 RouterManager가 이미 경로를 설정해 둠
+    this.handleRoute(this.stateManager.getState('route'));
+  }
+
+  setupEventListeners() {
+    this.lifecycle.on('router:changed', ({ route }) => this.handleRoute(route));
+    this.lifecycle.on('app:escape', () => this.isOpen && this.requestClose());
+  }
+
+  setupStateSubscriptions() {
+    // 번역이 늦게 로드되거나 언어가 바뀌면 같은 slug로 다시 찾아 그림
+    this.lifecycle.subscribe('translations', () => this.update());
+  }
+
+  /**
+   * 경로가 바뀔 때 상세 창 열기/닫기
+   * @param {Object|null} route - { hash, section, item }
+   */
+  handleRoute(route) {
+    this.slug = route?.section === 'projects' && route.item ? route.item : null;
+    this.update();
+  }
+
+  /**
+   * 현재 slug의 프로젝트가 있으면 창을 열고(또는 다시 그리고), 없으면 닫음
+   */
+  update() {
+    const project = this.getProject(this.slug);
+    if (!project) {
+      this.close();
+      return;
+    }
+
+    if (!this.overlay) this.createOverlay();
+    this.render(project);
+
+    if (!this.isOpen) this.open();
+  }
+
+  /**
+   * @param {string|null} slug - 프로젝트 slug
+   * @returns {Object|undefined} 현재 언어의 프로젝트 항목
+   */
+  getProject(slug) {
+    if (!slug) return undefined;
+    const items = this.stateManager.getState('translations.projects.items') || [];
+    return items.find(project => project.slug === slug);
+  }
+
+  /**
+   * 상세 창 생성
+   */
+  createOverlay() {
+    this.overlay = document.createElement('div');
+    this.overlay.className = 'project-detail';
+    this.overlay.hidden = true;
+    this.overlay.innerHTML = `
+      <div class="project-detail__backdrop" data-action="close"></div>
+      <article class="project-detail__dialog" role="dialog" aria-modal="true" aria-labelledby="project-detail-title" tabindex="-1">
+        <div class="project-detail__header">
+          <h2 class="project-detail__title" id="project-detail-title"></h2>
+          <button type="button" class="project-detail__close" data-action="close">×</button>
+        </div>
+        <div class="project-detail__body"></div>
+      </article>`;
+
+    this.lifecycle.listen(this.overlay, 'click', (e) => {
+      if (e.target.closest('[data-action="close"]')) this.requestClose();
+    });
+
+    // 열린 동안 Tab / Shift+Tab이 창 밖으로 나가지 않게 함
+    const dialog = this.overlay.querySelector('.project-detail__dialog');
+    this.lifecycle.listen(document, 'keydown', (e) => {
+      if (this.isOpen) FocusTrap.handleKeydown(e, dialog);
+    });
+
+    document.body.appendChild(this.overlay);
+  }
+
+  /**
+   * 상세 창 열기 (경로가 바뀔 때만 호출됨)
+   */
+  open() {
+    this.previousFocus = document.activeElement;
+    this.isOpen = true;
+
+    this.overlay.hidden = false;
+    document.body.classList.add('project-detail-open');
+    this.overlay.querySelector('.project-detail__dialog').focus();
+
+    this.eventBus.emit('projectDetail:opened', { slug: this.slug });
+  }
+
+  /**
+   * 사용자가 창을 닫음 - 경로를 `#projects`로 교체 (스크롤 위치 유지)
+   * 창은 router:changed를 받아 닫히므로 뒤로 가기와 같은 경로로 처리됨
+   */
+  requestClose() {
+    this.eventBus.emit('router:navigate', { hash: '#projects', replace: true, scroll: false });
+  }
+
+  /**
+   * 상세 창 닫기
+   */
+  close() {
+    if (!this.isOpen) return;
+
+    this.isOpen = false;
+    this.overlay.hidden = true;
+    document.body.classList.remove('project-detail-open');
+    this.restoreFocus();
+
+    this.eventBus.emit('projectDetail:closed');
+  }
+
+  /**
+   * 창을 열 때의 요소로 포커스 복원
+   * 언어 전환으로 카드가 다시 그려졌으면 같은 프로젝트 카드의 '상세 보기' 링크로 이동
+   */
+  restoreFocus() {
+    const slug = this.overlay.dataset.slug;
+    const target = this.previousFocus?.isConnected ? this.previousFocus :
+      Array.from(document.querySelectorAll('.project-grid .project-card'))
+        .find(card => card.dataset.slug === slug)
+        ?.querySelector('.project-detail-link');
+
+    target?.focus?.();
+    this.previousFocus = null;
+  }
+
+  /**
+   * 현재 언어로 창 내용 그리기 (문구는 모두 textContent로 채움)
+   * @param {Object} project - 프로젝트 항목
+   */
+  render(project) {
+    this.overlay.dataset.slug = project.slug;
+    this.overlay.querySelector('.project-detail__title').textContent = project.title;
+    this.overlay.querySelector('.project-detail__close').setAttribute('aria-label', this.t('close'));
+
+    const body = this.overlay.querySelector('.project-detail__body');
+    body.replaceChildren(...[
+      this.createMeta(project),
+      this.createSection('writeup', this.createWriteup(project)),
+      this.createSection('gallery', this.createGallery(project)),
+      this.createSection('metrics', this.createMetrics(project)),
+      this.createSection('tech', this.createTags(project.tech || project.tags)),
+      this.createSection('links', this.createLinks(project))
+    ].filter(Boolean));
+  }
+
+  /**
+   * 제목과 내용으로 구역 생성
+   * @param {string} key - 구역 제목 번역 키
+   * @param {Element|null} content - 내용 (없으면 구역을 만들지 않음)
+   * @returns {Element|null} 구역
+   */
+  createSection(key, content) {
+    if (!content) return null;
+
+    const section = document.createElement('section');
+    section.className = `project-detail__section project-detail__section--${key}`;
+
+    const heading = document.createElement('h3');
+    heading.textContent = this.t(key);
+    section.append(heading, content);
+    return section;
+  }
+
+  /**
+   * 역할·기간
+   * @param {Object} project - 프로젝트 항목
+   * @returns {Element|null} 정의 목록
+   */
+  createMeta({ role, timeline }) {
+    const entries = [['role', role], ['timeline', timeline]].filter(([, value]) => value);
+    if (entries.length === 0) return null;
+
+    const list = document.createElement('dl');
+    list.className = 'project-detail__meta';
+    entries.forEach(([key, value]) => {
+      const term = document.createElement('dt');
+      term.textContent = this.t(key);
+      const description = document.createElement('dd');
+      description.textContent = value;
+      list.append(term, description);
+    });
+    return list;
+  }
+
+  /**
+   * 소개 글 (writeup이 없으면 카드 설명 사용)
+   * @param {Object} project - 프로젝트 항목
+   * @returns {Element} 문단 묶음
+   */
+  createWriteup({ writeup, description }) {
+    const paragraphs = Array.isArray(writeup) ? writeup : [writeup || description];
+
+    const container = document.createElement('div');
+    container.className = 'project-detail__writeup';
+    paragraphs.filter(Boolean).forEach(text => {
+      const paragraph = document.createElement('p');
+      paragraph.textContent = text;
+      container.appendChild(paragraph);
+    });
+    return container;
+  }
+
+  /**
+   * 아키텍처 이미지 (gallery가 없으면 카드 이미지 사용)
+   * @param {Object} project - 프로젝트 항목
+   * @returns {Element|null} 이미지 목록
+   */
+  createGallery({ gallery, image, title }) {
+    const images = gallery?.length ? gallery : image ? [{ src: image }] : [];
+    if (images.length === 0) return null;
+
+    const container = document.createElement('div');
+    container.className = 'project-detail__gallery';
+    images.forEach(({ src, alt, caption }) => {
+      const figure = document.createElement('figure');
+      const img = document.createElement('img');
+      img.src = src;
+      img.alt = alt || caption || title;
+      img.loading = 'lazy';
+      figure.appendChild(img);
+
+      if (caption) {
+        const figcaption = document.createElement('figcaption');
+        figcaption.textContent = caption;
+        figure.appendChild(figcaption);
+      }
+      container.appendChild(figure);
+    });
+    return container;
+  }
+
+  /**
+   * 성과 지표
+   * @param {Object} project - 프로젝트 항목
+   * @returns {Element|null} 지표 목록
+   */
+  createMetrics({ metrics }) {
+    if (!metrics?.length) return null;
+
+    const list = document.createElement('ul');
+    list.className = 'project-detail__metrics';
+    metrics.forEach(({ value, label }) => {
+      const item = document.createElement('li');
+      const strong = document.createElement('strong');
+      strong.textContent = value;
+      const span = document.createElement('span');
+      span.textContent = label;
+      item.append(strong, span);
+      list.appendChild(item);
+    });
+    return list;
+  }
+
+  /**
+   * 기술 태그
+   * @param {Array<string>} [tags] - 태그 목록
+   * @returns {Element|null} 태그 목록
+   */
+  createTags(tags) {
+    if (!tags?.length) return null;
+
+    const list = document.createElement('ul');
+    list.className = 'project-detail__tags';
+    tags.forEach(tag => {
+      const item = document.createElement('li');
+      item.textContent = tag;
+      list.appendChild(item);
+    });
+    return list;
+  }
+
+  /**
+   * 외부 링크 (카드와 같은 필드와 ui 문구 사용)
+   * @param {Object} project - 프로젝트 항목
+   * @returns {Element|null} 링크 묶음
+   */
+  createLinks(project) {
+    const ui = this.stateManager.getState('translations.ui') || {};
+    const links = [
+      [project.link, ui.github || 'GitHub'],
+      [project.pptLink, ui.ppt || 'PPT'],
+      [project.websiteLink, ui.website || 'Website'],
+      [project.videoLink, ui.video || '시연 영상']
+    ].filter(([href]) => href);
+    if (links.length === 0 && !project.locked) return null;
+
+    const container = document.createElement('div');
+    container.className = 'project-links';
+    links.forEach(([href, label]) => {
+      const anchor = document.createElement('a');
+      anchor.href = href;
+      anchor.className = 'project-link';
+      anchor.target = '_blank';
+      anchor.rel = 'noopener noreferrer';
+      anchor.textContent = label;
+      container.appendChild(anchor);
+    });
+
+    if (project.locked) {
+      const locked = document.createElement('span');
+      locked.className = 'project-link project-link--locked';
+      locked.textContent = project.locked;
+      container.appendChild(locked);
+    }
+    return container;
+  }
+
+  /**
+   * projectDetail 섹션 번역 (I18nManager.translate 참고)
+   * @param {string} key - 번역 키
+   * @returns {string} 번역된 문구
+   */
+  t(key) {
+    return String(I18nManager.translate(`projectDetail.${key}`, {}, { stateManager: this.stateManager }));
+  }
+
+  /**
+   * 매니저 정리 - 창 닫기 및 제거, 리스너 해제
+   */
+  destroy() {
+    this.close();
+    this.lifecycle.dispose();
+    this.overlay?.remove();
+    this.overlay = null;
+    this.slug = null;
+  }
+}
+
+// Export for use in main app
+window.ProjectDetailManager = ProjectDetailManager;
@@ -0,0 +1,218 @@
+/**
+ * RouterManager - Hash-based routes and deep links
+ *
+ * Routes are '#<section>' or '#<section>/<item>':
+ *   #projects            scroll to the section
+ *   #projects/lg-qbot    scroll to and highlight the project with that slug
+ *   #blog/3              scroll to and highlight the third blog post
+ *                        (of the posts BlogManager rendered, not the placeholder cards)
+ *
+ * Handles the hash present on load, back/forward (popstate) and hashchange.
+ * Items are looked up by per-section resolvers (addRoute()); when the target
+ * is not rendered yet (translations or blog posts still loading) the route
+ * stays pending and is retried after `i18n:pageRendered` / `blog:sectionUpdated`.
+ *
+ * The current route is kept in the `route` state ({ hash, section, item })
+ * and announced with `router:changed`.
+ */
+class RouterManager {
+  /**
+   * @param {Object} [deps] - Dependencies injected by App (defaults to the globals)
+   */
+  constructor({ eventBus = window.eventBus, stateManager = window.stateManager, config = window.appConfig, app = window.portfolioApp, lifecycle } = {}) {
+    this.stateManager = stateManager;
+    this.eventBus = eventBus;
+    this.app = app;
+    this.lifecycle = lifecycle || new Lifecycle('router', { eventBus, stateManager });
+
+    this.routes = new Map();         // section id -> fn(item) returning the item element
+    this.currentHash = '';           // hash last handled or pushed by the menu
+    this.pendingRoute = null;        // route whose item is not rendered yet
+    this.headerOffset = config?.get('nav.headerOffset') ?? Config.defaults.nav.headerOffset; // Fixed header height (px)
+    this.highlightDuration = 2000;   // ms
+  }
+
+  /**
+   * Item routes need the rendered grids and NavManager's section scrolling
+   */
+  static get dependencies() {
+    return ['i18n', 'nav'];
+  }
+
+  init() {
+    this.stateManager.defineSchema('route', { type: 'object', nullable: true, default: null });
+
+    this.addRoute('projects', (slug) =>
+      Array.from(document.querySelectorAll('.project-grid .project-card'))
+        .find(card => card.dataset.slug === slug)
+    );
+    // Skeletons and the cards rendered from translations are placeholders
+    // until BlogManager (when it is running) renders its posts
+    this.addRoute('blog', (position) => {
+      if (!/^[1-9]\d*$/.test(position)) return undefined;
+      const cards = this.app?.managers?.blog ? '.blog-card[data-post]' : '.blog-card:not(.blog-skeleton)';
+      return document.querySelectorAll(`.blog-grid ${cards}`)[Number(position) - 1];
+    });
+
+    this.setupEventListeners();
+
+    // Shared link opened directly
+    if (window.location.hash) {
+      this.handleRoute(window.location.hash, 'initial');
+    }
+  }
+
+  setupEventListeners() {
+    // Back/forward to a hash fires both events (in either order): handle the first one
+    ['popstate', 'hashchange'].forEach(type => {
+      this.lifecycle.listen(window, type, () => {
+        if (window.location.hash !== this.currentHash) {
+          this.handleRoute(window.location.hash, type);
+        }
+      });
+    });
+
+    // Menu links push their section hash themselves
+    this.lifecycle.on('nav:scrolled', ({ targetId, updateHistory }) => {
+      if (updateHistory) this.currentHash = targetId;
+    });
+
+    // '#blog/1' or { hash, replace, scroll }
+    this.lifecycle.on('router:navigate', (target) => {
+      const { hash, ...options } = typeof target === 'string' ? { hash: target } : target;
+      this.navigate(hash, options);
+    });
+
+    // Grids were (re)rendered: resolve a route that was waiting for its item
+    this.lifecycle.on('i18n:pageRendered', () => this.resolvePending());
+    this.lifecycle.on('blog:sectionUpdated', () => this.resolvePending());
+  }
+
+  /**
+   * Register a deep-link resolver for a section
+   * @param {string} section - Section id (e.g. 'projects')
+   * @param {Function} resolve - fn(item) returning the element to show, or undefined
+   * @returns {Function} Function removing the route
+   */
+  addRoute(section, resolve) {
+    this.routes.set(section, resolve);
+    return () => this.routes.delete(section);
+  }
+
+  /**
+   * Navigate to a hash and add a history entry
+   * @param {string} hash - Route (e.g. '#projects/lg-qbot')
+   * @param {Object} [options] - Navigation options
+   * @param {boolean} [options.replace=false] - Replace the current entry instead
+   * @param {boolean} [options.scroll=true] - Scroll to the target (false keeps the scroll position)
+   */
+  navigate(hash, { replace = false, scroll = true } = {}) {
+    const url = hash || `${window.location.pathname}${window.location.search}`;
+
+    if (replace) {
+      history.replaceState(null, '', url);
+    } else if (hash !== window.location.hash) {
+      history.pushState(null, '', url);
+    }
+
+    this.handleRoute(hash, 'navigate', { scroll });
+  }
+
+  /**
+   * Parse a hash into a route
+   * @param {string} hash - Location hash (with or without '#')
+   * @returns {{hash: string, section: string, item: string|null}|null} Route, or null for no hash
+   */
+  parse(hash) {
+    const path = String(hash || '').replace(/^#/, '');
+    if (!path) return null;
+
+    const [section, ...rest] = path.split('/');
+    let item = rest.join('/') || null;
+    try {
+      item = item && decodeURIComponent(item);
+    } catch (error) {
+      // Malformed escape: use the raw value
+    }
+
+    return { hash: `#${path}`, section, item };
+  }
+
+  /**
+   * Show the target of a route
+   * @param {string} hash - Location hash
+   * @param {string} source - 'initial', 'popstate', 'hashchange' or 'navigate'
+   * @param {Object} [options] - Route options
+   * @param {boolean} [options.scroll=true] - Scroll to the target
+   */
+  handleRoute(hash, source, { scroll = true } = {}) {
+    const route = this.parse(hash);
+    this.currentHash = route ? route.hash : '';
+    this.pendingRoute = null;
+
+    this.stateManager.setState('route', route, { record: false });
+    this.eventBus.emit('router:changed', { route, source });
+
+    if (!scroll) return;
+
+    if (!route) {
+      // Back to the entry without a hash
+      window.scrollTo({ top: 0, behavior: 'smooth' });
+      return;
+    }
+
+    const section = document.getElementById(route.section);
+    if (!section || !section.matches('section')) {
+      console.warn(`Unknown route '${route.hash}'`);
+      return;
+    }
+
+    this.eventBus.emit('nav:scrollTo', { targetId: `#${route.section}`, updateHistory: false });
+
+    if (route.item && this.routes.has(route.section)) {
+      this.pendingRoute = route;
+      this.resolvePending();
+    }
+  }
+
+  /**
+   * Scroll to and highlight the item of the pending route once it is rendered
+   */
+  resolvePending() {
+    const route = this.pendingRoute;
+    if (!route) return;
+
+    const target = this.routes.get(route.section)?.(route.item);
+    if (!target) return;
+
+    this.pendingRoute = null;
+    window.scrollTo({
+      top: target.getBoundingClientRect().top + window.scrollY - this.headerOffset,
+      behavior: 'smooth'
+    });
+
+    target.classList.add('route-highlight');
+    this.lifecycle.timeout(() => target.classList.remove('route-highlight'), this.highlightDuration);
+    this.eventBus.emit('router:itemShown', { route, element: target });
+  }
+
+  /**
+   * Get the current route
+   * @returns {Object|null} { hash, section, item } or null
+   */
+  getRoute() {
+    return this.stateManager.getState('route');
+  }
+
+  /**
+   * Release listeners and timers registered through the lifecycle
+   */
+  destroy() {
+    this.lifecycle.dispose();
+    this.routes.clear();
+    this.pendingRoute = null;
+  }
+}
+
+// Export for use in main app
+window.RouterManager = RouterManager;
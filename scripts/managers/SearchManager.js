@@ -0,0 +1,585 @@
+/**
+ * SearchManager - 사이트 검색 팔레트 (Ctrl/Cmd+K)
+ *
+ * 주요 기능:
+ * - `app:focusSearch` 이벤트(Mod+K 단축키)로 검색 창 열기
+ * - 번역 데이터의 프로젝트·기술·소개, BlogManager의 블로그 글, 명령(언어·테마 전환, 섹션 이동) 검색
+ * - 퍼지 매칭 (글자 순서만 맞으면 일치, 연속·단어 시작 일치에 가산점)
+ * - 한글 초성 검색 (예: 'ㄷㅇㅌ' → '데이터', 'ㅍㅇㅍㄹㅇ' → '파이프라인')
+ * - 방향키로 결과 이동, Enter로 실행, Esc로 닫기 (창이 열린 동안 'search' 단축키 스코프 사용)
+ * - 프로젝트 결과는 `#projects/<slug>` 경로로 상세 창을 열고, 링크가 없는 블로그 글은 결과에서 제외
+ */
+class SearchManager {
+  /**
+   * @param {Object} [deps] - App이 주입하는 의존성 (생략 시 전역 인스턴스 사용)
+   */
+  constructor({ eventBus = window.eventBus, stateManager = window.stateManager, shortcuts = window.shortcutRegistry, app = window.portfolioApp, lifecycle } = {}) {
+    // 외부 의존성
+    this.stateManager = stateManager;
+    this.eventBus = eventBus;
+    this.shortcuts = shortcuts;
+    this.app = app;
+    this.lifecycle = lifecycle || new Lifecycle('search', { eventBus, stateManager });
+
+    // 설정
+    this.maxResults = 12;           // 표시할 최대 결과 수
+    this.highlightDuration = 2000;  // 이동한 요소 강조 시간 (ms)
+
+    // 내부 상태
+    this.overlay = null;            // 검색 창 요소
+    this.input = null;
+    this.list = null;
+    this.isOpen = false;
+    this.index = [];                // 검색 대상 항목
+    this.results = [];              // 현재 결과 [{ item, score, positions }]
+    this.activeIndex = 0;           // 선택된 결과 위치
+    this.popScope = null;           // 'search' 스코프 해제 함수
+    this.previousFocus = null;      // 창을 닫을 때 포커스를 돌려줄 요소
+  }
+
+  /**
+   * 한글 초성 (유니코드 음절 순서)
+   */
+  static get choseong() {
+    return ['ㄱ', 'ㄲ', 'ㄴ', 'ㄷ', 'ㄸ', 'ㄹ', 'ㅁ', 'ㅂ', 'ㅃ', 'ㅅ', 'ㅆ', 'ㅇ', 'ㅈ', 'ㅉ', 'ㅊ', 'ㅋ', 'ㅌ', 'ㅍ', 'ㅎ'];
+  }
+
+  /**
+   * 매니저 초기화 (App이 호출)
+   */
+  init() {
+    this.setupEventListeners();
+    this.setupStateSubscriptions();
+  }
+
+  setupEventListeners() {
+    this.lifecycle.on('app:focusSearch', () => (this.isOpen ? this.close() : this.open()));
+    this.lifecycle.on('search:open', () => this.open());
+    this.lifecycle.on('search:close', () => this.close());
+
+    // 블로그 글이 새로 로드되면 열린 검색 결과에도 반영
+    this.lifecycle.on('blog:sectionUpdated', () => this.isOpen && this.refresh());
+
+    if (!this.shortcuts) return;
+
+    // 창이 열린 동안에만 활성화되는 단축키 (입력창에서도 동작)
+    const shortcuts = {
+      'search.close': { keys: ['Escape', 'Mod+K'], handler: () => this.close(), descriptionKey: 'shortcuts.close', description: 'Close' },
+      'search.next': { keys: 'ArrowDown', handler: () => this.moveSelection(1), description: 'Next result' },
+      'search.previous': { keys: 'ArrowUp', handler: () => this.moveSelection(-1), description: 'Previous result' },
+      'search.run': { keys: 'Enter', handler: () => this.runResult(this.activeIndex), description: 'Open result' }
+    };
+
+    Object.entries(shortcuts).forEach(([id, options]) => {
+      this.lifecycle.add('shortcuts', this.shortcuts.register(id, { ...options, scope: 'search', allowInInputs: true }));
+    });
+  }
+
+  setupStateSubscriptions() {
+    // 언어가 바뀌면 열린 창의 문구와 검색 대상을 다시 구성
+    this.lifecycle.subscribe('translations', () => this.isOpen && this.refresh());
+  }
+
+  /**
+   * 검색 창 생성
+   */
+  createOverlay() {
+    this.overlay = document.createElement('div');
+    this.overlay.className = 'search-palette';
+    this.overlay.hidden = true;
+    this.overlay.innerHTML = `
+      <div class="search-palette__backdrop"></div>
+      <div class="search-palette__dialog" role="dialog" aria-modal="true">
+        <input class="search-palette__input" type="search" autocomplete="off" spellcheck="false"
+          role="combobox" aria-expanded="true" aria-controls="search-palette-results" aria-autocomplete="list" />
+        <ul class="search-palette__results" id="search-palette-results" role="listbox"></ul>
+        <p class="search-palette__empty" hidden></p>
+      </div>`;
+
+    this.input = this.overlay.querySelector('.search-palette__input');
+    this.list = this.overlay.querySelector('.search-palette__results');
+
+    this.lifecycle.listen(this.input, 'input', () => this.search());
+    this.lifecycle.listen(this.overlay.querySelector('.search-palette__backdrop'), 'click', () => this.close());
+    this.lifecycle.listen(this.list, 'click', (e) => {
+      const option = e.target.closest('[data-index]');
+      if (option) this.runResult(Number(option.dataset.index));
+    });
+    this.lifecycle.listen(this.list, 'mousemove', (e) => {
+      const option = e.target.closest('[data-index]');
+      if (option && Number(option.dataset.index) !== this.activeIndex) {
+        this.setActive(Number(option.dataset.index));
+      }
+    });
+
+    // 열린 동안 Tab / Shift+Tab이 창 밖으로 나가지 않게 함
+    const dialog = this.overlay.querySelector('.search-palette__dialog');
+    this.lifecycle.listen(document, 'keydown', (e) => {
+      if (this.isOpen) FocusTrap.handleKeydown(e, dialog);
+    });
+
+    document.body.appendChild(this.overlay);
+  }
+
+  /**
+   * 검색 창 열기
+   */
+  open() {
+    if (this.isOpen) return;
+    if (!this.overlay) this.createOverlay();
+
+    this.popScope = this.shortcuts?.pushScope('search', { exclusive: true }) || null;
+    this.previousFocus = document.activeElement;
+    this.isOpen = true;
+
+    this.input.value = '';
+    this.refresh();
+    this.overlay.hidden = false;
+    this.input.focus();
+
+    this.eventBus.emit('search:opened');
+  }
+
+  /**
+   * 검색 창 닫기
+   * @param {Object} [options] - { restoreFocus: false } 이면 이전 포커스로 돌아가지 않음 (결과로 이동할 때)
+   */
+  close({ restoreFocus = true } = {}) {
+    if (!this.isOpen) return;
+
+    this.isOpen = false;
+    this.popScope?.();
+    this.popScope = null;
+    this.overlay.hidden = true;
+    this.input.blur();
+    if (restoreFocus) this.previousFocus?.focus?.();
+
+    this.eventBus.emit('search:closed');
+  }
+
+  /**
+   * 문구·검색 대상을 현재 언어로 다시 구성하고 검색
+   */
+  refresh() {
+    this.input.placeholder = this.t('placeholder');
+    this.input.setAttribute('aria-label', this.t('label'));
+    this.overlay.querySelector('.search-palette__empty').textContent = this.t('empty');
+
+    this.index = this.buildIndex();
+    this.search();
+  }
+
+  /**
+   * 검색 대상 구성 (번역 데이터, 블로그 글, 명령)
+   * @returns {Array<Object>} { type, title, subtitle, keywords, run }
+   */
+  buildIndex() {
+    const translations = this.stateManager.getState('translations') || {};
+    const items = [];
+
+    // 프로젝트 (slug가 있으면 `#projects/<slug>` 경로로 상세 창 열기)
+    (translations.projects?.items || []).forEach((project, index) => {
+      items.push({
+        type: 'project',
+        title: project.title,
+        subtitle: project.description,
+        keywords: project.tags || [],
+        run: project.slug
+          ? () => this.eventBus.emit('router:navigate', `#projects/${encodeURIComponent(project.slug)}`)
+          : () => this.goTo('#projects', `#projects .project-card:nth-child(${index + 1})`)
+      });
+    });
+
+    // 기술 (카테고리 이름을 부제로)
+    (translations.skills?.categories || []).forEach(category => {
+      (category.skills || []).forEach(skill => {
+        items.push({
+          type: 'skill',
+          title: skill,
+          subtitle: category.name,
+          keywords: [],
+          run: () => this.goTo('#skills', '#skills .skill-tag', skill)
+        });
+      });
+    });
+
+    // 소개 (문단의 HTML 태그 제거)
+    (translations.about?.details || []).forEach(detail => {
+      const text = this.stripHtml(detail);
+      items.push({
+        type: 'about',
+        title: text,
+        subtitle: translations.about.title,
+        keywords: [],
+        run: () => this.goTo('#about', '#about .about-text p', text)
+      });
+    });
+
+    // 블로그 글 (RSS 또는 번역 파일의 기본 글, 열 링크가 없는 글은 제외)
+    const posts = this.app?.managers?.blog?.getBlogPosts?.() || [];
+    (posts.length > 0 ? posts : translations.blog?.posts || [])
+      .filter(post => post.link && post.link !== '#')
+      .forEach(post => {
+        items.push({
+          type: 'blog',
+          title: post.title,
+          subtitle: [post.date, post.description].filter(Boolean).join(' · '),
+          keywords: post.tags || [],
+          run: () => window.open(post.link, '_blank', 'noopener,noreferrer')
+        });
+      });
+
+    return [...items, ...this.buildCommands(translations)];
+  }
+
+  /**
+   * 명령 항목 구성
+   * @param {Object} translations - 현재 번역 데이터
+   * @returns {Array<Object>} 명령 항목
+   */
+  buildCommands(translations) {
+    const commands = [];
+    const currentLanguage = this.stateManager.getState('language');
+
+    // 섹션 이동 (메뉴 링크 기준)
+    document.querySelectorAll('.nav-link[href^="#"]').forEach(link => {
+      const sectionId = link.getAttribute('href');
+      const section = translations.navigation?.[sectionId.slice(1)] || link.textContent.trim();
+      commands.push({
+        type: 'command',
+        title: this.t('commands.section', { section }),
+        keywords: [section, sectionId.slice(1)],
+        run: () => this.eventBus.emit('nav:scrollTo', sectionId)
+      });
+    });
+
+    // 언어 전환 (메뉴의 언어 버튼 기준)
+    document.querySelectorAll('.menu-lang-btn[data-lang]').forEach(button => {
+      const lang = button.dataset.lang;
+      if (lang === currentLanguage) return;
+
+      const language = button.textContent.trim();
+      commands.push({
+        type: 'command',
+        title: this.t('commands.language', { language }),
+        keywords: [language, lang, 'language', '언어'],
+        run: () => this.eventBus.emit('i18n:switchLanguage', lang)
+      });
+    });
+
+    commands.push({
+      type: 'command',
+      title: this.t('commands.theme'),
+      keywords: ['theme', 'dark', 'light', 'auto', '테마', '다크 모드'],
+      run: () => this.eventBus.emit('theme:toggle')
+    });
+
+    if (this.app?.managers?.shortcuts) {
+      commands.push({
+        type: 'command',
+        title: this.t('commands.shortcuts'),
+        keywords: ['shortcuts', 'keyboard', '단축키'],
+        run: () => this.eventBus.emit('shortcuts:openHelp')
+      });
+    }
+
+    return commands;
+  }
+
+  /**
+   * 입력값으로 검색 후 결과 표시
+   */
+  search() {
+    const query = this.input.value.trim();
+
+    if (!query) {
+      // 검색어가 없으면 명령 목록 표시
+      this.results = this.index
+        .filter(item => item.type === 'command')
+        .map(item => ({ item, score: 0, positions: [] }));
+    } else {
+      this.results = this.index
+        .map(item => ({ item, ...this.scoreItem(query, item) }))
+        .filter(result => result.score > 0)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, this.maxResults);
+    }
+
+    this.activeIndex = 0;
+    this.renderResults();
+  }
+
+  /**
+   * 항목 점수 계산 (제목 > 키워드 > 부제 순으로 가중치)
+   * @param {string} query - 검색어
+   * @param {Object} item - 검색 항목
+   * @returns {{score: number, positions: Array<number>}} 점수와 제목에서 일치한 글자 위치
+   */
+  scoreItem(query, item) {
+    const title = this.match(query, item.title);
+    const keyword = Math.max(0, ...item.keywords.map(keyword => this.match(query, keyword)?.score || 0));
+    const subtitle = this.match(query, item.subtitle || '')?.score || 0;
+
+    return {
+      score: Math.max(title?.score || 0, keyword * 0.9, subtitle * 0.6),
+      positions: title?.positions || []
+    };
+  }
+
+  /**
+   * 퍼지 매칭 - 검색어 글자가 순서대로 모두 나오면 일치
+   * 연속 일치, 단어 시작 일치, 정확한 글자(초성 일치보다) 일치에 가산점을 주고
+   * 흩어진 일치는 감점. 모든 시작 위치 중 가장 높은 점수를 사용.
+   * @param {string} query - 검색어 (공백 무시)
+   * @param {string} text - 대상 문자열
+   * @returns {{score: number, positions: Array<number>}|null} 결과 (불일치 시 null)
+   */
+  match(query, text) {
+    const queryChars = Array.from(this.normalize(query).replace(/\s+/g, ''));
+    const textChars = Array.from(this.normalize(text));
+    if (queryChars.length === 0 || textChars.length === 0) return null;
+
+    let best = null;
+
+    for (let start = 0; start < textChars.length; start++) {
+      if (!this.charMatches(queryChars[0], textChars[start])) continue;
+
+      const positions = [];
+      let score = 0;
+      let queryIndex = 0;
+
+      for (let i = start; i < textChars.length && queryIndex < queryChars.length; i++) {
+        if (!this.charMatches(queryChars[queryIndex], textChars[i])) continue;
+
+        score += 1;
+        if (positions.length > 0 && positions[positions.length - 1] === i - 1) score += 4;
+        if (i === 0 || /[\s\-_/·.,()|]/.test(textChars[i - 1])) score += 3;
+        if (queryChars[queryIndex] === textChars[i]) score += 1;
+
+        positions.push(i);
+        queryIndex++;
+      }
+
+      if (queryIndex < queryChars.length) break;  // 이후 시작 위치에서도 일치할 수 없음
+
+      score -= (positions[positions.length - 1] - positions[0] + 1 - positions.length) * 0.5;
+      if (!best || score > best.score) {
+        best = { score, positions };
+      }
+    }
+
+    // 글자가 너무 흩어져 있어 감점으로 0 이하가 되면 불일치로 처리
+    return best && best.score > 0 ? best : null;
+  }
+
+  /**
+   * 글자 일치 여부 (초성 입력은 해당 초성으로 시작하는 음절과 일치)
+   * @param {string} queryChar - 검색어 글자
+   * @param {string} textChar - 대상 글자
+   * @returns {boolean} 일치 여부
+   */
+  charMatches(queryChar, textChar) {
+    return queryChar === textChar ||
+      (SearchManager.choseong.includes(queryChar) && this.getChoseong(textChar) === queryChar);
+  }
+
+  /**
+   * 한글 음절의 초성
+   * @param {string} char - 글자
+   * @returns {string|null} 초성 (한글 음절이 아니면 null)
+   */
+  getChoseong(char) {
+    const code = char.charCodeAt(0) - 0xAC00;
+    if (code < 0 || code > 11171) return null;
+    return SearchManager.choseong[Math.floor(code / 588)];
+  }
+
+  /**
+   * 비교용 문자열 정규화 (NFC, 소문자)
+   * @param {string} text - 문자열
+   * @returns {string} 정규화된 문자열
+   */
+  normalize(text) {
+    return String(text || '').normalize('NFC').toLowerCase();
+  }
+
+  /**
+   * HTML 태그 제거
+   * @param {string} html - HTML 문자열
+   * @returns {string} 텍스트
+   */
+  stripHtml(html) {
+    return String(html || '').replace(/<[^>]*>/g, '').trim();
+  }
+
+  /**
+   * 결과 목록 그리기 (문구는 모두 textContent로 채움)
+   */
+  renderResults() {
+    this.list.replaceChildren(...this.results.map((result, index) => this.createOption(result, index)));
+    this.overlay.querySelector('.search-palette__empty').hidden = this.results.length > 0;
+    this.setActive(this.activeIndex);
+  }
+
+  /**
+   * 결과 항목 생성
+   * @param {Object} result - { item, positions }
+   * @param {number} index - 결과 위치
+   * @returns {Element} 목록 항목
+   */
+  createOption({ item, positions }, index) {
+    const option = document.createElement('li');
+    option.className = 'search-palette__option';
+    option.id = `search-palette-option-${index}`;
+    option.setAttribute('role', 'option');
+    option.dataset.index = index;
+
+    const type = document.createElement('span');
+    type.className = `search-palette__type search-palette__type--${item.type}`;
+    type.textContent = this.t(`types.${item.type}`);
+    option.appendChild(type);
+
+    const text = document.createElement('span');
+    text.className = 'search-palette__text';
+
+    const title = document.createElement('span');
+    title.className = 'search-palette__title';
+    this.appendHighlighted(title, this.normalizeDisplay(item.title), positions);
+    text.appendChild(title);
+
+    if (item.subtitle) {
+      const subtitle = document.createElement('span');
+      subtitle.className = 'search-palette__subtitle';
+      subtitle.textContent = item.subtitle;
+      text.appendChild(subtitle);
+    }
+
+    option.appendChild(text);
+    return option;
+  }
+
+  /**
+   * 일치한 글자를 <mark>로 감싸 추가
+   * @param {Element} element - 대상 요소
+   * @param {string} text - 문자열
+   * @param {Array<number>} positions - 일치한 글자 위치
+   */
+  appendHighlighted(element, text, positions) {
+    const matched = new Set(positions);
+    let buffer = '';
+    let isMarked = false;
+
+    const flush = () => {
+      if (!buffer) return;
+      if (isMarked) {
+        const mark = document.createElement('mark');
+        mark.textContent = buffer;
+        element.appendChild(mark);
+      } else {
+        element.appendChild(document.createTextNode(buffer));
+      }
+      buffer = '';
+    };
+
+    Array.from(text).forEach((char, index) => {
+      if (matched.has(index) !== isMarked) {
+        flush();
+        isMarked = matched.has(index);
+      }
+      buffer += char;
+    });
+    flush();
+  }
+
+  /**
+   * 표시용 문자열 (일치 위치가 normalize()와 같은 글자를 가리키도록 NFC 적용)
+   * @param {string} text - 문자열
+   * @returns {string} NFC 문자열
+   */
+  normalizeDisplay(text) {
+    return String(text || '').normalize('NFC');
+  }
+
+  /**
+   * 선택 결과 변경
+   * @param {number} index - 결과 위치
+   */
+  setActive(index) {
+    this.activeIndex = index;
+
+    Array.from(this.list.children).forEach((option, i) => {
+      option.classList.toggle('is-active', i === index);
+      option.setAttribute('aria-selected', String(i === index));
+    });
+
+    const active = this.list.children[index];
+    if (active) {
+      this.input.setAttribute('aria-activedescendant', active.id);
+      active.scrollIntoView?.({ block: 'nearest' });
+    } else {
+      this.input.removeAttribute('aria-activedescendant');
+    }
+  }
+
+  /**
+   * 선택 결과를 위아래로 이동 (끝에서 반대쪽으로 순환)
+   * @param {number} step - 1 (아래) 또는 -1 (위)
+   */
+  moveSelection(step) {
+    if (this.results.length === 0) return;
+    this.setActive((this.activeIndex + step + this.results.length) % this.results.length);
+  }
+
+  /**
+   * 결과 실행 후 창 닫기
+   * @param {number} index - 결과 위치
+   */
+  runResult(index) {
+    const result = this.results[index];
+    if (!result) return;
+
+    this.close({ restoreFocus: false });
+    result.item.run();
+    this.eventBus.emit('search:selected', { type: result.item.type, title: result.item.title });
+  }
+
+  /**
+   * 섹션으로 이동 후 해당 요소 잠시 강조
+   * @param {string} sectionId - 섹션 id (예: '#projects')
+   * @param {string} selector - 강조할 요소 선택자
+   * @param {string} [text] - 선택자 결과 중 이 텍스트를 가진 요소만 강조
+   */
+  goTo(sectionId, selector, text) {
+    this.eventBus.emit('nav:scrollTo', sectionId);
+
+    const target = Array.from(document.querySelectorAll(selector))
+      .find(element => text === undefined || element.textContent.trim() === text);
+    if (!target) return;
+
+    target.classList.add('search-highlight');
+    this.lifecycle.timeout(() => target.classList.remove('search-highlight'), this.highlightDuration);
+  }
+
+  /**
+   * search 섹션 번역 (I18nManager.translate 참고)
+   * @param {string} key - 번역 키 (점 경로)
+   * @param {Object} [params] - {name} 자리에 넣을 값
+   * @returns {string} 번역된 문구
+   */
+  t(key, params = {}) {
+    return String(I18nManager.translate(`search.${key}`, params, { stateManager: this.stateManager }));
+  }
+
+  /**
+   * 매니저 정리 - 창 닫기 및 제거, 단축키·리스너 해제
+   */
+  destroy() {
+    this.close();
+    this.lifecycle.dispose();
+    this.overlay?.remove();
+    this.overlay = null;
+  }
+}
+
+// Export for use in main app
+window.SearchManager = SearchManager;
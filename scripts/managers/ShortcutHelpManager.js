@@ -0,0 +1,317 @@
+/**
+ * ShortcutHelpManager - 키보드 단축키 도움말 및 단축키 변경 창
+ *
+ * 주요 기능:
+ * - `?` (또는 `shortcuts:toggleHelp` 이벤트)로 현재 사용 가능한 단축키 목록 표시
+ * - 현재 언어로 설명 표시 (languages/*.json의 `shortcuts` 섹션, 실패 시 내장 문구)
+ * - 키 버튼을 누르고 새 키를 입력해 단축키 변경, 충돌 시 변경 거부 후 안내
+ * - 단축키별/전체 기본값 복원 (변경 내용은 ShortcutRegistry가 저장)
+ * - 창이 열린 동안 'help' 스코프를 독점으로 활성화해 다른 단축키가 실행되지 않음
+ */
+class ShortcutHelpManager {
+  /**
+   * @param {Object} [deps] - App이 주입하는 의존성 (생략 시 전역 인스턴스 사용)
+   */
+  constructor({ eventBus = window.eventBus, stateManager = window.stateManager, shortcuts = window.shortcutRegistry, lifecycle } = {}) {
+    // 외부 의존성
+    this.stateManager = stateManager;
+    this.eventBus = eventBus;
+    this.shortcuts = shortcuts;
+    this.lifecycle = lifecycle || new Lifecycle('shortcuts', { eventBus, stateManager });
+
+    // 내부 상태
+    this.overlay = null;            // 도움말 창 요소
+    this.isOpen = false;
+    this.listedScopes = [];         // 창을 열 때 활성화되어 있던 스코프 (목록에 표시)
+    this.popScope = null;           // 'help' 스코프 해제 함수
+    this.recordingId = null;        // 새 키를 입력받는 중인 단축키 id
+    this.message = '';              // 충돌 안내 문구
+    this.previousFocus = null;      // 창을 닫을 때 포커스를 돌려줄 요소
+  }
+
+  /**
+   * 매니저 초기화 (App이 호출)
+   */
+  init() {
+    if (!this.shortcuts) {
+      console.warn('ShortcutRegistry not available, shortcut help disabled');
+      return;
+    }
+
+    this.setupEventListeners();
+    this.setupStateSubscriptions();
+  }
+
+  setupEventListeners() {
+    this.lifecycle.on('shortcuts:toggleHelp', () => (this.isOpen ? this.close() : this.open()));
+    this.lifecycle.on('shortcuts:openHelp', () => this.open());
+    this.lifecycle.on('shortcuts:closeHelp', () => this.close());
+
+    // 창이 열린 동안에는 'help' 스코프만 활성화되므로 닫기 단축키를 따로 등록
+    this.lifecycle.add('shortcuts', this.shortcuts.register('help.close', {
+      keys: ['Escape', '?'],
+      scope: 'help',
+      allowInInputs: true,
+      handler: () => this.close(),
+      descriptionKey: 'shortcuts.close',
+      description: 'Close'
+    }));
+
+    // 새 키 입력 중에는 캡처 단계에서 가로채 단축키가 실행되지 않게 함
+    this.lifecycle.listen(document, 'keydown', (e) => this.handleRecordingKeydown(e), true);
+  }
+
+  setupStateSubscriptions() {
+    // 언어 전환, 단축키 변경(다른 탭 포함) 시 열린 창 다시 그리기
+    this.lifecycle.subscribe('translations', () => this.isOpen && this.render());
+    this.lifecycle.subscribe('shortcutBindings', () => this.isOpen && this.render());
+  }
+
+  /**
+   * 도움말 창 생성
+   */
+  createOverlay() {
+    this.overlay = document.createElement('div');
+    this.overlay.className = 'shortcut-help';
+    this.overlay.hidden = true;
+    this.overlay.innerHTML = `
+      <div class="shortcut-help__backdrop" data-action="close"></div>
+      <div class="shortcut-help__dialog" role="dialog" aria-modal="true" aria-labelledby="shortcut-help-title" tabindex="-1">
+        <div class="shortcut-help__header">
+          <h2 class="shortcut-help__title" id="shortcut-help-title"></h2>
+          <button type="button" class="shortcut-help__close" data-action="close">×</button>
+        </div>
+        <p class="shortcut-help__hint"></p>
+        <ul class="shortcut-help__list"></ul>
+        <p class="shortcut-help__message" aria-live="polite"></p>
+        <div class="shortcut-help__footer">
+          <button type="button" class="shortcut-help__reset-all" data-action="reset-all"></button>
+        </div>
+      </div>`;
+
+    // 버튼은 다시 그려지므로 이벤트 위임으로 처리
+    this.lifecycle.listen(this.overlay, 'click', (e) => {
+      const target = e.target.closest('[data-action]');
+      if (target) this.handleAction(target.dataset.action, target.dataset.id);
+    });
+
+    // 열린 동안 Tab / Shift+Tab이 창 밖으로 나가지 않게 함
+    const dialog = this.overlay.querySelector('.shortcut-help__dialog');
+    this.lifecycle.listen(document, 'keydown', (e) => {
+      if (this.isOpen) FocusTrap.handleKeydown(e, dialog);
+    });
+
+    document.body.appendChild(this.overlay);
+  }
+
+  /**
+   * 버튼 동작 처리
+   * @param {string} action - 'close' | 'record' | 'reset' | 'reset-all'
+   * @param {string} [id] - 단축키 id
+   */
+  handleAction(action, id) {
+    switch (action) {
+      case 'close':
+        this.close();
+        break;
+      case 'record':
+        this.recordingId = this.recordingId === id ? null : id;
+        this.message = '';
+        this.render();
+        break;
+      case 'reset':
+        this.shortcuts.resetBinding(id);
+        break;
+      case 'reset-all':
+        this.recordingId = null;
+        this.message = '';
+        this.shortcuts.resetAll();
+        break;
+    }
+  }
+
+  /**
+   * 도움말 창 열기
+   */
+  open() {
+    if (this.isOpen || !this.shortcuts) return;
+    if (!this.overlay) this.createOverlay();
+
+    // 'help' 스코프를 활성화하기 전의 스코프 = 지금 사용할 수 있는 단축키
+    this.listedScopes = this.shortcuts.getActiveScopes();
+    this.popScope = this.shortcuts.pushScope('help', { exclusive: true });
+    this.previousFocus = document.activeElement;
+    this.isOpen = true;
+
+    this.render();
+    this.overlay.hidden = false;
+    this.overlay.querySelector('.shortcut-help__dialog').focus();
+
+    this.eventBus.emit('shortcuts:helpOpened');
+  }
+
+  /**
+   * 도움말 창 닫기
+   */
+  close() {
+    if (!this.isOpen) return;
+
+    this.isOpen = false;
+    this.recordingId = null;
+    this.message = '';
+    this.popScope?.();
+    this.popScope = null;
+    this.overlay.hidden = true;
+    this.previousFocus?.focus?.();
+
+    this.eventBus.emit('shortcuts:helpClosed');
+  }
+
+  /**
+   * 현재 언어로 창 내용 그리기 (문구는 모두 textContent로 채움)
+   */
+  render() {
+    if (!this.overlay) return;
+
+    this.overlay.querySelector('.shortcut-help__title').textContent = this.t('title');
+    this.overlay.querySelector('.shortcut-help__hint').textContent = this.t('hint');
+    this.overlay.querySelector('.shortcut-help__close').setAttribute('aria-label', this.t('close'));
+    this.overlay.querySelector('.shortcut-help__reset-all').textContent = this.t('resetAll');
+    this.overlay.querySelector('.shortcut-help__message').textContent = this.message;
+
+    const list = this.overlay.querySelector('.shortcut-help__list');
+    list.replaceChildren(...this.shortcuts.getBindings({ scopes: this.listedScopes })
+      .map(binding => this.createItem(binding)));
+
+    // 다시 그린 뒤에도 입력 중인 키 버튼에 포커스 유지
+    list.querySelector('.shortcut-help__keys.is-recording')?.focus();
+  }
+
+  /**
+   * 단축키 한 줄 생성
+   * @param {Object} binding - ShortcutRegistry.getBindings() 항목
+   * @returns {Element} 목록 항목
+   */
+  createItem(binding) {
+    const action = this.describe(binding);
+    const isRecording = this.recordingId === binding.id;
+
+    const item = document.createElement('li');
+    item.className = 'shortcut-help__item';
+
+    const description = document.createElement('span');
+    description.className = 'shortcut-help__description';
+    description.textContent = action;
+    item.appendChild(description);
+
+    if (binding.isCustom) {
+      const badge = document.createElement('span');
+      badge.className = 'shortcut-help__badge';
+      badge.textContent = this.t('custom');
+      item.appendChild(badge);
+
+      const resetButton = document.createElement('button');
+      resetButton.type = 'button';
+      resetButton.className = 'shortcut-help__reset';
+      resetButton.dataset.action = 'reset';
+      resetButton.dataset.id = binding.id;
+      resetButton.textContent = this.t('reset');
+      item.appendChild(resetButton);
+    }
+
+    const keysButton = document.createElement('button');
+    keysButton.type = 'button';
+    keysButton.className = `shortcut-help__keys${isRecording ? ' is-recording' : ''}`;
+    keysButton.dataset.action = 'record';
+    keysButton.dataset.id = binding.id;
+    keysButton.setAttribute('aria-label', this.t('change', { action }));
+
+    if (isRecording) {
+      keysButton.textContent = this.t('recording');
+    } else {
+      binding.labels.forEach(label => {
+        const kbd = document.createElement('kbd');
+        kbd.textContent = label;
+        keysButton.appendChild(kbd);
+      });
+    }
+    item.appendChild(keysButton);
+
+    return item;
+  }
+
+  /**
+   * 새 키 입력 처리 (캡처 단계 keydown)
+   * @param {KeyboardEvent} event - 키보드 이벤트
+   */
+  handleRecordingKeydown(event) {
+    if (!this.recordingId || event.isComposing) return;
+
+    event.preventDefault();
+    event.stopImmediatePropagation();
+
+    if (event.key === 'Escape') {
+      this.recordingId = null;
+      this.render();
+      return;
+    }
+
+    // 수정자 키만 누른 경우 나머지 키를 기다림
+    const combo = this.shortcuts.eventToCombo(event);
+    if (!combo) return;
+
+    const id = this.recordingId;
+    this.recordingId = null;
+
+    const { ok, conflicts } = this.shortcuts.remap(id, combo);
+    if (ok) {
+      this.message = '';
+      // 변경 사항은 shortcutBindings 구독으로 다시 그려짐 (같은 키면 상태가 바뀌지 않으므로 직접 그림)
+      this.render();
+      return;
+    }
+
+    const conflicting = this.shortcuts.getBindings().find(binding => binding.id === conflicts[0].id);
+    this.message = this.t('conflict', {
+      keys: this.shortcuts.formatCombo(combo),
+      action: conflicting ? this.describe(conflicting) : conflicts[0].id
+    });
+    this.render();
+  }
+
+  /**
+   * 단축키 설명 (번역 → 내장 문구 → 등록 시 지정한 설명 순서)
+   * @param {Object} binding - 단축키 정보
+   * @returns {string} 설명
+   */
+  describe({ id, descriptionKey, description }) {
+    const translated = descriptionKey
+      ? I18nManager.translate(descriptionKey, {}, { stateManager: this.stateManager, fallback: null })
+      : null;
+
+    return translated || description || id;
+  }
+
+  /**
+   * shortcuts 섹션 번역 (I18nManager.translate 참고)
+   * @param {string} key - 번역 키
+   * @param {Object} [params] - {name} 자리에 넣을 값
+   * @returns {string} 번역된 문구
+   */
+  t(key, params = {}) {
+    return String(I18nManager.translate(`shortcuts.${key}`, params, { stateManager: this.stateManager }));
+  }
+
+  /**
+   * 매니저 정리 - 창 닫기 및 제거, 단축키·리스너 해제
+   */
+  destroy() {
+    this.close();
+    this.lifecycle.dispose();
+    this.overlay?.remove();
+    this.overlay = null;
+  }
+}
+
+// Export for use in main app
+window.ShortcutHelpManager = ShortcutHelpManager;
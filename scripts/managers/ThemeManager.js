@@ -1,116 +1,499 @@
 /**
  * ThemeManager - Handles theme switching and persistence
  * Integrates with StateManager and EventBus for reactive updates
+ *
+ * The `theme` state is the user's choice: 'auto', 'schedule' or a theme
+ * registered in the ThemeRegistry (light, dark, high-contrast, sepia, ...).
+ * 'auto' follows `prefers-color-scheme` live; 'schedule' is dark by the clock
+ * or between sunset and sunrise (ThemeSchedule, `themeSchedule` config) and
+ * sets a timer for its next switch. The applied theme is kept in the
+ * derived `resolvedTheme` state, and `prefers-contrast: more` is reflected in
+ * `highContrast` (data-contrast="more" on <html>).
+ *
+ * Named themes are applied as data-theme="<name>" with their tokens injected
+ * into <style id="theme-tokens">; data-color-scheme="light|dark" carries the
+ * theme's base scheme for the section overrides in theme.css/components.css.
+ *
+ * Theme changes after init are animated: a circular reveal from the menu toggle
+ * with the View Transitions API, or a color cross-fade where it is missing
+ * (`theme:transitionStart` / `theme:transitionEnd`). Under
+ * `prefers-reduced-motion: reduce` the theme is swapped without animation.
+ *
+ * The inline bootstrap in index.html sets these attributes before first paint
+ * from the persisted `theme` and `themePaint` state; init() adopts them and
+ * only touches the DOM where the resolved theme differs.
  */
 class ThemeManager {
-  constructor() {
+  /**
+   * @param {Object} [deps] - Dependencies injected by App (defaults to the globals)
+   */
+  constructor({ eventBus = window.eventBus, stateManager = window.stateManager, shortcuts = window.shortcutRegistry, themes = window.themeRegistry, config = window.appConfig, lifecycle } = {}) {
     this.themeToggle = null;
-    this.stateManager = window.stateManager;
-    this.eventBus = window.eventBus;
-    
-    this.init();
+    this.themeSelect = null;
+    this.tokenStyle = null;      // <style> holding the tokens of named themes
+    this.isInitialized = false;  // the initial theme is applied without a transition
+    this.transitionCount = 0;    // id of the latest transition (older ones only clean up)
+    this.releaseCrossFade = null;
+    this.schedule = new ThemeSchedule(config?.get('themeSchedule'));
+    this.releaseScheduleTimer = null;
+    this.darkQuery = null;       // MediaQueryList for prefers-color-scheme: dark
+    this.contrastQuery = null;   // MediaQueryList for prefers-contrast: more
+    this.stateManager = stateManager;
+    this.eventBus = eventBus;
+    this.shortcuts = shortcuts;
+    this.themes = themes || new ThemeRegistry(eventBus, stateManager); // built-in themes only
+    this.lifecycle = lifecycle || new Lifecycle('theme', { eventBus, stateManager });
+  }
+
+  /**
+   * Order in which the toggle cycles through the modes
+   */
+  static get modes() {
+    return ['light', 'dark', 'auto'];
+  }
+
+  /**
+   * Longest wait before the schedule is re-checked (ms)
+   * Timers drift or pause while the device sleeps, so long waits are split.
+   */
+  static get maxScheduleDelay() {
+    return 6 * 60 * 60 * 1000;
+  }
+
+  /**
+   * Length of the reveal / cross-fade animation (ms)
+   */
+  static get transitionDuration() {
+    return 500;
   }
 
   init() {
     this.setupDOM();
+    this.setupMediaQueries();
     this.setupEventListeners();
     this.setupStateSubscriptions();
-    
+
     // Apply initial theme from state
-    this.applyTheme(this.stateManager.getState('theme'));
+    this.renderTokens();
+    this.updateResolvedTheme();
+    this.applyTheme(this.stateManager.getState('resolvedTheme'));
+    this.updateToggle();
+    this.renderSelect();
+    this.isInitialized = true;
   }
 
   setupDOM() {
     this.themeToggle = document.getElementById('menu-theme-toggle');
+    this.themeSelect = document.getElementById('menu-theme-select');
+
+    // Reuse the stylesheet the bootstrap created for a named theme
+    this.tokenStyle = document.getElementById('theme-tokens');
+    if (!this.tokenStyle) {
+      this.tokenStyle = document.createElement('style');
+      this.tokenStyle.id = 'theme-tokens';
+      document.head.appendChild(this.tokenStyle);
+      this.lifecycle.add('dom', () => this.tokenStyle.remove());
+    }
+  }
+
+  /**
+   * Follow system color scheme and contrast preferences live
+   */
+  setupMediaQueries() {
+    if (typeof window.matchMedia !== 'function') return;
+
+    this.darkQuery = window.matchMedia('(prefers-color-scheme: dark)');
+    this.contrastQuery = window.matchMedia('(prefers-contrast: more)');
+
+    [this.darkQuery, this.contrastQuery].forEach(query => {
+      const handler = () => this.updateResolvedTheme();
+
+      if (typeof query.addEventListener === 'function') {
+        this.lifecycle.listen(query, 'change', handler);
+      } else {
+        // Safari < 14
+        query.addListener(handler);
+        this.lifecycle.add('dom', () => query.removeListener(handler));
+      }
+    });
   }
 
   setupEventListeners() {
-    if (this.themeToggle) {
-      this.themeToggle.addEventListener('click', () => this.toggleTheme());
-    }
+    this.lifecycle.listen(this.themeToggle, 'click', () => this.toggleTheme());
+    this.lifecycle.listen(this.themeSelect, 'change', () => this.setTheme(this.themeSelect.value));
 
     // Listen for theme change events
-    this.eventBus.on('theme:toggle', () => this.toggleTheme());
-    this.eventBus.on('theme:set', (theme) => this.setTheme(theme));
+    this.lifecycle.on('theme:toggle', () => this.toggleTheme());
+    this.lifecycle.on('theme:set', (theme) => this.setTheme(theme));
+
+    // Timers may have been throttled while the page was hidden
+    this.lifecycle.on('app:visibilityChanged', ({ isVisible }) => {
+      if (isVisible && this.getCurrentTheme() === 'schedule') {
+        this.updateResolvedTheme({ source: 'schedule' });
+      }
+    });
+
+    // Themes registered or removed at runtime (e.g. by plugins)
+    this.lifecycle.on('theme:registered', () => this.refreshThemes());
+    this.lifecycle.on('theme:unregistered', () => this.refreshThemes());
+
+    // Keyboard shortcut (remappable from the shortcut help overlay)
+    if (this.shortcuts) {
+      this.lifecycle.add('shortcuts', this.shortcuts.register('theme.toggle', {
+        keys: 'Mod+Shift+T',
+        handler: () => this.toggleTheme(),
+        descriptionKey: 'shortcuts.actions.themeToggle',
+        description: 'Change theme (light, dark, auto)'
+      }));
+    }
   }
 
   setupStateSubscriptions() {
-    // Subscribe to theme state changes
-    this.stateManager.subscribe('theme', (newTheme, oldTheme) => {
-      this.applyTheme(newTheme);
-      this.eventBus.emit('theme:changed', { newTheme, oldTheme });
+    // Subscribe to theme (mode) changes
+    this.lifecycle.subscribe('theme', (newTheme, oldTheme) => {
+      this.updateResolvedTheme();
+      this.updateToggle();
+      this.updateSelect();
+      this.eventBus.emit('theme:changed', {
+        newTheme,
+        oldTheme,
+        resolvedTheme: this.stateManager.getState('resolvedTheme')
+      });
+    });
+
+    // Apply whenever the effective theme changes (mode change or system change in auto mode)
+    this.lifecycle.subscribe('resolvedTheme', (resolvedTheme, oldResolvedTheme) => {
+      this.transitionTo(resolvedTheme, oldResolvedTheme);
+      this.eventBus.emit('theme:resolved', { resolvedTheme, oldResolvedTheme });
+    });
+
+    this.lifecycle.subscribe('highContrast', () => {
+      this.applyTheme(this.stateManager.getState('resolvedTheme'));
+    });
+
+    // Menu labels follow the language
+    this.lifecycle.subscribe('translations', () => {
+      this.updateToggle();
+      this.renderSelect();
     });
   }
 
   /**
-   * Toggle between light and dark themes
+   * Cycle through light → dark → auto ('schedule' and named themes continue with light;
+   * they are chosen from the theme picker)
    */
   toggleTheme() {
+    const modes = ThemeManager.modes;
     const currentTheme = this.stateManager.getState('theme');
-    const newTheme = currentTheme === 'dark' ? 'light' : 'dark';
+    const newTheme = modes[(modes.indexOf(currentTheme) + 1) % modes.length];
     this.setTheme(newTheme);
   }
 
   /**
    * Set specific theme
-   * @param {string} theme - Theme to set ('light' or 'dark')
+   * Unknown names are rejected by the 'theme' state schema (state:invalid)
+   * @param {string} theme - 'auto', 'schedule' or a registered theme name
+   * @returns {boolean} True if the theme was accepted
    */
   setTheme(theme) {
-    if (theme !== 'light' && theme !== 'dark') {
-      console.warn(`Invalid theme: ${theme}. Using 'light' as fallback.`);
-      theme = 'light';
+    return this.stateManager.setState('theme', theme);
+  }
+
+  /**
+   * Resolve a mode to the theme that is applied
+   * A stored name that is not registered (yet) is treated as 'auto'.
+   * @param {string} theme - 'auto', 'schedule' or a theme name
+   * @returns {string} Registered theme name
+   */
+  resolveTheme(theme) {
+    if (theme === 'schedule') {
+      return this.schedule.isDark(new Date()) ? 'dark' : 'light';
+    }
+    if (theme !== 'auto' && this.themes.has(theme)) {
+      return theme;
     }
+    return this.darkQuery?.matches ? 'dark' : 'light';
+  }
+
+  /**
+   * Recompute the derived theme state from the mode and system preferences
+   * (not recorded in the history: it follows from `theme` and the system,
+   * except for switches made by the schedule, which are recorded like a manual change)
+   * @param {Object} [options] - Update options
+   * @param {string} [options.source] - 'schedule' when called by the schedule timer
+   */
+  updateResolvedTheme({ source } = {}) {
+    const resolvedTheme = this.resolveTheme(this.stateManager.getState('theme'));
+    const recorded = source && resolvedTheme !== this.stateManager.getState('resolvedTheme');
+
+    this.stateManager.batch(() => {
+      this.stateManager.setState('resolvedTheme', resolvedTheme, recorded ? { source } : { record: false });
+      this.stateManager.setState('highContrast', !!this.contrastQuery?.matches, { record: false });
+    });
+
+    this.scheduleNextChange();
+  }
 
-    this.stateManager.setState('theme', theme);
+  /**
+   * In schedule mode, set a timer for the next light/dark switch
+   */
+  scheduleNextChange() {
+    this.releaseScheduleTimer?.();
+    this.releaseScheduleTimer = null;
+    if (this.getCurrentTheme() !== 'schedule') return;
+
+    const now = new Date();
+    const delay = Math.min(this.schedule.getNextChange(now) - now + 1000, ThemeManager.maxScheduleDelay);
+    this.releaseScheduleTimer = this.lifecycle.timeout(() => this.updateResolvedTheme({ source: 'schedule' }), delay);
   }
 
   /**
    * Apply theme to DOM
-   * @param {string} theme - Theme to apply
+   * @param {string} theme - Resolved theme to apply
    */
   applyTheme(theme) {
     const root = document.documentElement;
-    
-    if (theme === 'light') {
-      root.removeAttribute('data-theme');
-      if (this.themeToggle) {
-        this.themeToggle.classList.add('light');
-        this.themeToggle.classList.remove('dark');
-      }
+    const scheme = this.themes.getScheme(theme);
+
+    this.setRootAttribute('data-theme', theme === 'light' ? null : theme);
+    this.setRootAttribute('data-color-scheme', scheme);
+    this.setRootAttribute('data-contrast', this.stateManager.getState('highContrast') ? 'more' : null);
+    if (root.style.colorScheme !== scheme) {
+      root.style.colorScheme = scheme;
+    }
+
+    this.savePaint(theme, scheme);
+  }
+
+  /**
+   * Apply a theme with an animated transition
+   * @param {string} theme - Resolved theme to apply
+   * @param {string} oldTheme - Theme applied before
+   */
+  transitionTo(theme, oldTheme) {
+    if (!this.isInitialized || theme === oldTheme || this.prefersReducedMotion()) {
+      this.applyTheme(theme);
+      return;
+    }
+
+    const id = ++this.transitionCount;
+    const root = document.documentElement;
+    const type = typeof document.startViewTransition === 'function' ? 'reveal' : 'crossfade';
+    const origin = this.getTransitionOrigin();
+    const finish = () => {
+      if (id !== this.transitionCount) return;
+      root.classList.remove('theme-reveal', 'theme-crossfade');
+      this.eventBus.emit('theme:transitionEnd', { theme, oldTheme, type });
+    };
+
+    this.eventBus.emit('theme:transitionStart', { theme, oldTheme, type, origin });
+
+    if (type === 'crossfade') {
+      // Colors fade through the .theme-crossfade transitions in theme.css
+      this.releaseCrossFade?.();
+      root.classList.add('theme-crossfade');
+      this.applyTheme(theme);
+      this.releaseCrossFade = this.lifecycle.timeout(finish, ThemeManager.transitionDuration);
+      return;
+    }
+
+    // The new theme grows as a circle from the toggle over a snapshot of the old one
+    root.classList.add('theme-reveal');
+    const transition = document.startViewTransition(() => this.applyTheme(theme));
+    const radius = Math.hypot(
+      Math.max(origin.x, window.innerWidth - origin.x),
+      Math.max(origin.y, window.innerHeight - origin.y)
+    );
+
+    transition.ready
+      .then(() => root.animate(
+        { clipPath: [`circle(0px at ${origin.x}px ${origin.y}px)`, `circle(${radius}px at ${origin.x}px ${origin.y}px)`] },
+        { duration: ThemeManager.transitionDuration, easing: 'ease-in-out', pseudoElement: '::view-transition-new(root)' }
+      ))
+      .catch(() => {}); // skipped (e.g. hidden tab): the theme is applied without animation
+
+    transition.finished.then(finish, finish);
+  }
+
+  /**
+   * Center of the menu toggle, or of the viewport when the toggle is hidden
+   * @returns {{x: number, y: number}} Viewport coordinates
+   */
+  getTransitionOrigin() {
+    const rect = this.themeToggle?.getBoundingClientRect();
+    if (rect && rect.width > 0 && rect.height > 0) {
+      return { x: rect.left + rect.width / 2, y: rect.top + rect.height / 2 };
+    }
+    return { x: window.innerWidth / 2, y: window.innerHeight / 2 };
+  }
+
+  /**
+   * @returns {boolean} True if the user asked for reduced motion
+   */
+  prefersReducedMotion() {
+    return typeof window.matchMedia === 'function' && window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+  }
+
+  /**
+   * Set or remove an attribute on <html>, leaving it alone when it already matches
+   * (so adopting the bootstrap's attributes causes no restyle)
+   * @param {string} name - Attribute name
+   * @param {string|null} value - Value, or null to remove
+   */
+  setRootAttribute(name, value) {
+    const root = document.documentElement;
+    if (root.getAttribute(name) === value) return;
+
+    if (value === null) {
+      root.removeAttribute(name);
     } else {
-      root.setAttribute('data-theme', 'dark');
-      if (this.themeToggle) {
-        this.themeToggle.classList.add('dark');
-        this.themeToggle.classList.remove('light');
-      }
+      root.setAttribute(name, value);
+    }
+  }
+
+  /**
+   * Store what the bootstrap needs to paint this theme on the next visit
+   * (named themes also need their scheme and tokens before ThemeRegistry loads)
+   * @param {string} theme - Resolved theme
+   * @param {string} scheme - 'light' or 'dark'
+   */
+  savePaint(theme, scheme) {
+    const paint = { theme, scheme, css: this.themes.toCss([theme]) };
+
+    if (!this.stateManager.isSameValue(this.stateManager.getState('themePaint'), paint)) {
+      this.stateManager.setState('themePaint', paint, { record: false });
+    }
+  }
+
+  /**
+   * Show the active mode on the menu toggle (class and accessible label)
+   */
+  updateToggle() {
+    if (!this.themeToggle) return;
+
+    const mode = this.getEffectiveMode();
+    const iconModes = [...ThemeManager.modes, 'schedule'];
+    iconModes.forEach(name => this.themeToggle.classList.toggle(name, name === mode));
+    this.themeToggle.classList.toggle('named', !iconModes.includes(mode));
+
+    const label = this.t('toggle', { mode: this.getThemeLabel(mode) });
+    this.themeToggle.setAttribute('aria-label', label);
+    this.themeToggle.title = label;
+    this.themeToggle.dataset.mode = mode;
+  }
+
+  /**
+   * Re-render after a theme was registered or removed
+   */
+  refreshThemes() {
+    this.renderTokens();
+    this.updateResolvedTheme();
+    this.updateToggle();
+    this.renderSelect();
+  }
+
+  /**
+   * Write the tokens of every named theme into the token stylesheet
+   */
+  renderTokens() {
+    const css = this.themes.toCss();
+    if (this.tokenStyle && this.tokenStyle.textContent !== css) {
+      this.tokenStyle.textContent = css;
     }
   }
 
   /**
-   * Get current theme
-   * @returns {string} Current theme
+   * Fill the menu theme picker with the modes and every registered theme
+   */
+  renderSelect() {
+    if (!this.themeSelect) return;
+
+    const names = [...ThemeRegistry.modes, ...this.themes.list().map(theme => theme.name)];
+    this.themeSelect.replaceChildren(...names.map(name => {
+      const option = document.createElement('option');
+      option.value = name;
+      option.textContent = this.getThemeLabel(name);
+      return option;
+    }));
+    this.themeSelect.setAttribute('aria-label', this.t('select'));
+    this.updateSelect();
+  }
+
+  /**
+   * Select the current mode in the menu theme picker
+   */
+  updateSelect() {
+    if (!this.themeSelect) return;
+
+    this.themeSelect.value = this.getEffectiveMode();
+  }
+
+  /**
+   * Current mode as shown in the menu (an unregistered stored name shows as 'auto')
+   * @returns {string} A mode or a registered theme name
+   */
+  getEffectiveMode() {
+    const mode = this.getCurrentTheme();
+    return this.themes.isSelectable(mode) ? mode : 'auto';
+  }
+
+  /**
+   * Localized name of a mode or theme
+   * Order: translations (theme.modes.<name>), built-in texts, registered label, name
+   * @param {string} name - Mode or theme name
+   * @returns {string} Label
+   */
+  getThemeLabel(name) {
+    const lang = this.stateManager.getState('language');
+
+    return I18nManager.translate(`theme.modes.${name}`, {}, { stateManager: this.stateManager, fallback: null }) ??
+      this.themes.getLabel(name, lang) ??
+      name;
+  }
+
+  /**
+   * Translate a key of the `theme` section (see I18nManager.translate)
+   * @param {string} key - Dot path (e.g. 'modes.auto')
+   * @param {Object} [params] - Values for {name} placeholders
+   * @returns {string} Text
+   */
+  t(key, params = {}) {
+    return String(I18nManager.translate(`theme.${key}`, params, { stateManager: this.stateManager }));
+  }
+
+  /**
+   * Get current theme mode
+   * @returns {string} 'auto', 'schedule' or a theme name
    */
   getCurrentTheme() {
     return this.stateManager.getState('theme');
   }
 
+  /**
+   * Get the applied theme
+   * @returns {string} Registered theme name
+   */
+  getResolvedTheme() {
+    return this.stateManager.getState('resolvedTheme');
+  }
+
   /**
    * Check if current theme is dark
-   * @returns {boolean} True if dark theme is active
+   * @returns {boolean} True if the applied theme has a dark color scheme
    */
   isDarkTheme() {
-    return this.getCurrentTheme() === 'dark';
+    return this.themes.getScheme(this.getResolvedTheme()) === 'dark';
   }
 
   /**
-   * Cleanup event listeners
+   * Release listeners and subscriptions registered through the lifecycle
    */
   destroy() {
-    if (this.themeToggle) {
-      this.themeToggle.removeEventListener('click', this.toggleTheme);
-    }
+    this.lifecycle.dispose();
+    this.transitionCount++; // pending transitions end without events
+    document.documentElement.classList.remove('theme-reveal', 'theme-crossfade');
   }
 }
 
 // Export for use in main app
-window.ThemeManager = ThemeManager;
\ No newline at end of file
+window.ThemeManager = ThemeManager;
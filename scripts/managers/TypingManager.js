@@ -13,25 +13,40 @@
  * 3. 두 번째 줄 타이핑 (이름: 티파니민트, 나머지: 검은색)
  */
 class TypingManager {
-  constructor() {
+  /**
+   * @param {Object} [deps] - App이 주입하는 의존성 (생략 시 전역 인스턴스 사용)
+   */
+  constructor({ eventBus = window.eventBus, stateManager = window.stateManager, config = window.appConfig, lifecycle } = {}) {
     // DOM 요소 참조
     this.line1 = null;              // 첫 번째 타이핑 라인
     this.line2 = null;              // 두 번째 타이핑 라인
     
     // 외부 의존성
-    this.stateManager = window.stateManager;  // 전역 상태 관리자
-    this.eventBus = window.eventBus;          // 이벤트 버스
+    this.stateManager = stateManager;         // 전역 상태 관리자
+    this.eventBus = eventBus;                 // 이벤트 버스
+    // 리스너·구독·타이머 추적 (destroy()에서 일괄 해제)
+    this.lifecycle = lifecycle || new Lifecycle('typing', { eventBus, stateManager });
+    
+    // 설정 (config.json의 typing 섹션: speed, lineDelay, partDelay, restartDelay, 설정이 없으면 기본값)
+    this.settings = config?.get('typing') ?? Config.defaults.typing;
     
     // 내부 상태
     this.isAnimating = false;       // 현재 애니메이션 진행 중인지
-    this.resizeTimer = null;        // 리사이즈 디바운싱용 타이머
-    
-    this.init();
+    this.cancelResizeTimer = null;  // 리사이즈 디바운싱 타이머 취소 함수
   }
 
   /**
-   * 매니저 초기화
+   * 의존 매니저 (번역 데이터가 필요하므로 I18nManager 이후 초기화)
+   * @returns {Array<string>} 매니저 이름 목록
+   */
+  static get dependencies() {
+    return ['i18n'];
+  }
+
+  /**
+   * 매니저 초기화 (App이 호출)
    * - DOM 요소 설정, 이벤트 리스너 등록, 상태 구독 설정
+   * - 첫 애니메이션은 App이 app:ready 이후 startAnimation()으로 시작
    */
   init() {
     this.setupDOM();                // DOM 요소 참조 설정
@@ -54,19 +69,12 @@ class TypingManager {
    */
   setupEventListeners() {
     // EventBus를 통한 타이핑 애니메이션 제어 이벤트
-    this.eventBus.on('typing:start', () => this.startAnimation());      // 애니메이션 시작 요청
-    this.eventBus.on('typing:restart', () => this.restartAnimation());  // 애니메이션 재시작 요청
-    this.eventBus.on('typing:stop', () => this.stopAnimation());        // 애니메이션 중지 요청
-
-    // 윈도우 이벤트 핸들러 바인딩 (this 컨텍스트 보존)
-    this.boundHandleResize = this.handleResize.bind(this);                          // 리사이즈 핸들러
-    this.boundScheduleInitialAnimation = this.scheduleInitialAnimation.bind(this);  // 초기 애니메이션 스케줄러
+    this.lifecycle.on('typing:start', () => this.startAnimation());      // 애니메이션 시작 요청
+    this.lifecycle.on('typing:restart', () => this.restartAnimation());  // 애니메이션 재시작 요청
+    this.lifecycle.on('typing:stop', () => this.stopAnimation());        // 애니메이션 중지 요청
 
     // 윈도우 리사이즈 이벤트 (디바운싱 적용)
-    window.addEventListener('resize', this.boundHandleResize);
-
-    // 페이지 로드 완료 시 애니메이션 시작
-    window.addEventListener('load', this.boundScheduleInitialAnimation);
+    this.lifecycle.listen(window, 'resize', () => this.handleResize());
   }
 
   /**
@@ -75,7 +83,7 @@ class TypingManager {
    */
   setupStateSubscriptions() {
     // 언어 변경 시 애니메이션 강제 재시작 (타이핑 중이어도 중단하고 재시작)
-    this.stateManager.subscribe('language', (newLang, oldLang) => {
+    this.lifecycle.subscribe('language', (newLang, oldLang) => {
       // 실제 언어가 변경되었고, 초기화가 아닌 경우에만 재시작
       if (newLang !== oldLang && oldLang !== undefined) {
         console.log('🔄 TypingManager: 언어 변경 감지:', oldLang, '->', newLang);
@@ -84,7 +92,7 @@ class TypingManager {
     });
 
     // 번역 데이터 업데이트 감지
-    this.stateManager.subscribe('translations', (newTranslations) => {
+    this.lifecycle.subscribe('translations', (newTranslations) => {
       if (newTranslations && Object.keys(newTranslations).length > 0) {
         // 번역 데이터가 준비되면 이벤트 발생
         this.eventBus.emit('typing:translationsReady');
@@ -92,36 +100,14 @@ class TypingManager {
     });
   }
 
-  /**
-   * 초기 애니메이션 스케줄링
-   * - 페이지 로드 후 적절한 지연 시간을 두고 애니메이션 시작
-   * - 번역 데이터 로딩 상태를 확인하여 적절한 타이밍에 시작
-   */
-  scheduleInitialAnimation() {
-    // 초기 애니메이션을 더 늦게 시작하여 언어 변경과의 충돌 방지
-    setTimeout(() => {
-      const translations = this.stateManager.getState('translations');
-      
-      if (translations && Object.keys(translations).length > 0) {
-        // 번역 데이터가 준비되어 있으면 시작
-        console.log('📝 번역 데이터 준비완료, 타이핑 애니메이션 시작');
-        this.startAnimation();
-      } else {
-        // 번역 데이터가 없으면 추가로 기다린 후 폴백으로 시작
-        console.log('⏳ 번역 데이터 대기 중, 폴백으로 시작');
-        setTimeout(() => this.startAnimation(), 800);
-      }
-    }, 1200); // 500ms → 1200ms로 증가하여 초기 로딩 완료 후 시작
-  }
-
   /**
    * 윈도우 리사이즈 처리 (디바운싱 적용)
    * - 반응형 레이아웃 변경 시 페이지 새로고침으로 애니메이션 재시작
    * - 250ms 디바운싱으로 성능 최적화
    */
   handleResize() {
-    clearTimeout(this.resizeTimer);
-    this.resizeTimer = setTimeout(() => {
+    this.cancelResizeTimer?.();
+    this.cancelResizeTimer = this.lifecycle.timeout(() => {
       // 현재는 새로운 반응형 시스템으로 페이지 새로고침 불필요
       // CSS가 자동으로 레이아웃을 처리하므로 주석 처리
       // location.reload();
@@ -185,7 +171,7 @@ class TypingManager {
       this.cleanupAnimation();
       
     } catch (error) {
-      console.error('Error in typing animation:', error);
+      this.eventBus.emit('app:error', { error, manager: 'typing', context: 'animation' });
     } finally {
       // 상태 정리 및 완료 이벤트 발생
       this.isAnimating = false;
@@ -252,8 +238,8 @@ class TypingManager {
     const line2Parts = this.parseLine2Text(line2Text);
     
     // === 1단계: 첫 번째 줄 타이핑 ===
-    await this.typeTextNaturally(this.line1, line1Text, 100, 'var(--typing-primary)', true);
-    await this.delay(500);
+    await this.typeTextNaturally(this.line1, line1Text, this.settings.speed, 'var(--typing-primary)', true);
+    await this.delay(this.settings.lineDelay);
     
     // === 2단계: 두 번째 줄 타이핑 ===
     this.line1.style.borderRight = 'none';
@@ -267,12 +253,12 @@ class TypingManager {
     // 첫 번째 부분 (이름) - 티파니민트
     const span1 = this.line2.querySelector('.part1');
     if (span1) {
-      await this.typeTextNaturally(span1, line2Parts[0].text, 100, 'var(--accent-color)', true);
+      await this.typeTextNaturally(span1, line2Parts[0].text, this.settings.speed, 'var(--accent-color)', true);
     }
     
     // 두 번째 부분이 있으면 (예: " 입니다.") - 검은색으로
     if (line2Parts.length > 1) {
-      await this.delay(200);
+      await this.delay(this.settings.partDelay);
       const span2 = this.line2.querySelector('.part2');
       if (span2) {
         // 커서를 두 번째 부분으로 이동
@@ -280,7 +266,7 @@ class TypingManager {
           span1.style.borderRight = 'none';
           span1.classList.remove('blink');
         }
-        await this.typeTextNaturally(span2, line2Parts[1].text, 100, 'var(--typing-primary)', true);
+        await this.typeTextNaturally(span2, line2Parts[1].text, this.settings.speed, 'var(--typing-primary)', true);
       }
     }
   }
@@ -322,7 +308,7 @@ class TypingManager {
    * @param {boolean} showCursor - 커서 표시 여부
    * @returns {Promise} 애니메이션 완료 Promise
    */
-  async typeTextNaturally(element, text, speed = 100, color = 'var(--typing-primary)', showCursor = true) {
+  async typeTextNaturally(element, text, speed = this.settings.speed, color = 'var(--typing-primary)', showCursor = true) {
     if (!element) return;
     
     return new Promise((resolve) => {
@@ -375,7 +361,7 @@ class TypingManager {
    * @param {boolean} showCursor - 커서 표시 여부
    * @returns {Promise} 애니메이션 완료 Promise
    */
-  async typeTextContinueNaturally(element, newText, speed = 100, newColor = 'var(--typing-primary)', showCursor = true) {
+  async typeTextContinueNaturally(element, newText, speed = this.settings.speed, newColor = 'var(--typing-primary)', showCursor = true) {
     if (!element) return;
     
     return new Promise((resolve) => {
@@ -445,8 +431,8 @@ class TypingManager {
     this.resetElements();
     
     // 약간의 지연 후 새로운 애니메이션 시작
-    console.log('⏳ 200ms 대기 중...');
-    await this.delay(200);
+    console.log(`⏳ ${this.settings.restartDelay}ms 대기 중...`);
+    await this.delay(this.settings.restartDelay);
     
     // 새로운 애니메이션 시작
     console.log('▶️ 새로운 애니메이션 시작');
@@ -465,12 +451,13 @@ class TypingManager {
   }
 
   /**
-   * Utility delay function (using app's delay method)
+   * Utility delay function (timer tracked by the lifecycle)
+   * - destroy() 이후에는 resolve되지 않으므로 대기 뒤의 코드(예: 재시작)가 실행되지 않음
    * @param {number} ms - Milliseconds to delay
    * @returns {Promise} Promise that resolves after delay
    */
   delay(ms) {
-    return window.portfolioApp?.delay(ms) || new Promise(resolve => setTimeout(resolve, ms));
+    return new Promise(resolve => this.lifecycle.timeout(resolve, ms));
   }
 
   /**
@@ -507,9 +494,7 @@ class TypingManager {
    */
   destroy() {
     this.stopAnimation();
-    clearTimeout(this.resizeTimer);
-    window.removeEventListener('resize', this.boundHandleResize);
-    window.removeEventListener('load', this.boundScheduleInitialAnimation);
+    this.lifecycle.dispose(); // 이벤트 구독·리사이즈 리스너·타이머 해제
     // 언어 버튼 활성화 복원
     this.setLanguageButtonsEnabled(true);
   }
@@ -0,0 +1,120 @@
+/**
+ * error-stub-server - Local endpoint for ErrorReporter's HTTP sink
+ *
+ * Serve (prints every report it receives):
+ *   node tools/error-stub-server.js            # http://localhost:8787/errors
+ *   node tools/error-stub-server.js 9000       # another port
+ * then point the site at it, e.g. in config.json:
+ *   "errorReporting": { "endpoint": "http://localhost:8787/errors" }
+ *
+ * Check (no browser needed): starts the stub on a free port, sends a report
+ * through ErrorReporter.httpSink() and exits with 0 when it arrived intact.
+ *   node tools/error-stub-server.js --check
+ *
+ * Requires Node 18+ (global fetch). No dependencies.
+ */
+const http = require('http');
+const path = require('path');
+
+const ROUTE = '/errors';
+
+/**
+ * Create the stub server
+ * @param {Function} onReport - Called with each parsed report
+ * @returns {http.Server} Server (not listening yet)
+ */
+function createStubServer(onReport) {
+  return http.createServer((request, response) => {
+    // The site runs on another origin (e.g. localhost:8000)
+    response.setHeader('Access-Control-Allow-Origin', '*');
+    response.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    response.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+
+    if (request.method === 'OPTIONS') {
+      response.writeHead(204).end();
+      return;
+    }
+    if (request.method !== 'POST' || request.url !== ROUTE) {
+      response.writeHead(404).end();
+      return;
+    }
+
+    let body = '';
+    request.setEncoding('utf8');
+    request.on('data', (chunk) => { body += chunk; });
+    request.on('end', () => {
+      try {
+        onReport(JSON.parse(body));
+        response.writeHead(204).end();
+      } catch (error) {
+        response.writeHead(400, { 'Content-Type': 'text/plain' }).end(`Invalid JSON: ${error.message}`);
+      }
+    });
+  });
+}
+
+/**
+ * Load the browser scripts the HTTP sink needs into a minimal window
+ * @param {string} endpoint - Endpoint configured on the reporter
+ * @returns {ErrorReporter} Reporter with only the HTTP sink
+ */
+function loadReporter(endpoint) {
+  global.window = {
+    PORTFOLIO_CONFIG: { errorReporting: { console: false, storage: false, endpoint } },
+    location: { href: 'http://localhost/error-stub-check' },
+    navigator: { userAgent: `node/${process.version}` },
+    fetch: (...args) => fetch(...args)
+  };
+
+  require(path.join(__dirname, '../scripts/core/EventBus.js'));
+  require(path.join(__dirname, '../scripts/core/ErrorReporter.js'));
+  return global.window.errorReporter;
+}
+
+/**
+ * Send one report through the HTTP sink and verify the stub received it
+ * @returns {Promise<boolean>} True on success
+ */
+function check() {
+  return new Promise((resolve) => {
+    const received = [];
+    const server = createStubServer((report) => received.push(report));
+
+    const finish = (ok, message) => {
+      server.close();
+      console.log(`${ok ? '✅' : '❌'} ${message}`);
+      resolve(ok);
+    };
+
+    server.listen(0, '127.0.0.1', () => {
+      const endpoint = `http://127.0.0.1:${server.address().port}${ROUTE}`;
+      const reporter = loadReporter(endpoint);
+
+      const sent = reporter.report(new Error('stub check'), { manager: 'check', context: 'error-stub-server' });
+      const timer = setTimeout(() => finish(false, `no report received at ${endpoint} within 5s`), 5000);
+
+      const poll = setInterval(() => {
+        if (received.length === 0) return;
+        clearInterval(poll);
+        clearTimeout(timer);
+
+        const [report] = received;
+        const ok = received.length === 1 && report.fingerprint === sent.fingerprint &&
+          report.message === 'stub check' && report.manager === 'check';
+        finish(ok, ok ? `report received at ${endpoint}` : `unexpected payload: ${JSON.stringify(received)}`);
+      }, 20);
+    });
+  });
+}
+
+if (process.argv.includes('--check')) {
+  check().then((ok) => process.exit(ok ? 0 : 1));
+} else {
+  const port = Number(process.argv[2]) || 8787;
+  createStubServer((report) => {
+    const tags = [report.manager, report.event, report.context].filter(Boolean).join(' · ');
+    console.log(`[${new Date(report.timestamp).toISOString()}] ${report.level} [${tags || 'app'}] ${report.name}: ${report.message}`);
+  }).listen(port, () => {
+    console.log(`Error stub listening on http://localhost:${port}${ROUTE} (Ctrl+C to stop)`);
+  });
+}